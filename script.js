@@ -1,6 +1,8 @@
 
 class SpoonSoundApp {
-    constructor() {
+    // options.seed (or ?seed= in the URL) makes all synthesis randomness reproducible;
+    // options.random injects a custom random source (a function returning [0, 1))
+    constructor(options = {}) {
         // App state
         this.isListening = false;
         this.currentSound = 'wooden-spoon';
@@ -18,21 +20,96 @@ class SpoonSoundApp {
                 delayTime: 0.25,      // 250ms delay
                 feedback: 0.4,        // 40% feedback
                 filterFreq: 800,      // Low-pass filter on delay
-                wetDryMix: 0.0        // Start at 0% wet (dry signal only)
+                wetDryMix: 0.0,       // Start at 0% wet (dry signal only)
+                followTilt: true,     // Orientation mappings may drive this pedal
+                tiltSensitivity: 1.0  // Multiplies the tilt angle before mapping
             },
             overdrive: {
                 enabled: false,       // Off by default
                 drive: 0.3,          // 30% drive amount
                 tone: 0.6,           // 60% tone control
                 level: 1.0,          // 100% output level
-                wetDryMix: 0.0       // Start at 0% wet (dry signal only)
+                wetDryMix: 0.0,      // Start at 0% wet (dry signal only)
+                followTilt: true,
+                tiltSensitivity: 1.0
             },
             reverb: {
                 enabled: false,       // Off by default
                 roomSize: 1.2,        // Room size in seconds (0.1-2.0) - more reasonable default
                 decay: 0.8,          // Decay time in seconds (0.1-2.0) - shorter to prevent issues
                 damping: 0.4,        // High frequency damping (0-1) - slightly higher default
-                wetDryMix: 0.0       // Start at 0% wet (dry signal only)
+                wetDryMix: 0.0,      // Start at 0% wet (dry signal only)
+                followTilt: true,
+                tiltSensitivity: 1.0
+            }
+        };
+
+        // [min, max] of every numeric pedal setting - the FX rack slider ranges
+        // (filterFreq has no slider, so it uses the tilt target's range)
+        const tiltSensitivityRange = [0.25, 2];
+        this.effectRanges = {
+            dubDelay: {
+                delayTime: [0.1, 0.8], feedback: [0, 0.8], filterFreq: [200, 4000], wetDryMix: [0, 1],
+                tiltSensitivity: tiltSensitivityRange
+            },
+            overdrive: {
+                drive: [0, 0.8], tone: [0, 1], level: [0, 2], wetDryMix: [0, 1],
+                tiltSensitivity: tiltSensitivityRange
+            },
+            reverb: {
+                roomSize: [0.1, 2.0], decay: [0.1, 3.0], damping: [0, 1], wetDryMix: [0, 1],
+                tiltSensitivity: tiltSensitivityRange
+            }
+        };
+
+        // Order the pedals are wired in (drag the pedals in the FX Rack to change it)
+        this.effectsOrder = ['dubDelay', 'reverb', 'overdrive'];
+        this.effectNames = { dubDelay: 'Dub Delay', reverb: 'Reverb', overdrive: 'Overdrive' };
+        this.draggedPedal = null;
+
+        // Factory FX presets: only what differs from the start-up settings
+        this.factoryPresets = {
+            'Porch Dry': {
+                sound: 'wooden-spoon',
+                tempo: 1.0,
+                masterEffectsEnabled: false,
+                wetDryMix: 0.0,
+                effects: {
+                    dubDelay: { enabled: false },
+                    reverb: { enabled: false },
+                    overdrive: { enabled: false }
+                },
+                orientationMappings: []
+            },
+            'Dub Hall': {
+                sound: 'metal-spoon',
+                tempo: 0.8,
+                masterEffectsEnabled: true,
+                wetDryMix: 0.6,
+                effects: {
+                    dubDelay: { enabled: true, delayTime: 0.4, feedback: 0.55, wetDryMix: 0.5 },
+                    reverb: { enabled: true, roomSize: 1.8, decay: 2.4, damping: 0.3, wetDryMix: 0.5 },
+                    overdrive: { enabled: false }
+                },
+                orientationMappings: [
+                    { axis: 'gamma', target: 'wetDry', span: 45, from: 0, to: 1, curve: 'linear', invert: false },
+                    { axis: 'beta', target: 'delayFeedback', span: 40, from: 0.3, to: 0.9, curve: 'sCurve', invert: false }
+                ]
+            },
+            'Dirty Jug Band': {
+                sound: 'plastic-spoon',
+                tempo: 1.6,
+                masterEffectsEnabled: true,
+                wetDryMix: 0.7,
+                effects: {
+                    dubDelay: { enabled: true, delayTime: 0.1, feedback: 0.15, wetDryMix: 0.3, followTilt: false },
+                    reverb: { enabled: false },
+                    overdrive: { enabled: true, drive: 0.6, tone: 0.4, level: 1.2, wetDryMix: 0.8 }
+                },
+                effectsOrder: ['overdrive', 'dubDelay', 'reverb'], // dirt first, echoes stay clean
+                orientationMappings: [
+                    { axis: 'gamma', target: 'overdriveDrive', span: 45, from: 0.3, to: 1, curve: 'linear', invert: false }
+                ]
             }
         };
 
@@ -46,13 +123,184 @@ class SpoonSoundApp {
         // Orientation calibration
         this.orientationCalibrated = false;
         this.orientationOffset = { alpha: 0, beta: 0, gamma: 0 };
+        this.orientationAutoRecentre = {
+            enabled: false,
+            timeConstant: 20     // seconds for the zero point to catch up ~63% of a posture change
+        };
+        this.lastOrientationTime = 0;
+        this.lastOrientationTap = 0;
         
         // Orientation smoothing
-        this.smoothedRoll = null;
-        this.lastNormalizedRoll = 0;
+        this.smoothedOrientation = null;
+
+        // Orientation modulation matrix: each mapping sends one axis to one effect parameter.
+        // span is the tilt (degrees either side of zero) that covers the range, from/to are
+        // fractions of the target's range and curve is a key of dynamicsCurves.
+        // Target params are [effect, param, slider id].
+        this.orientationAxes = { gamma: 'Roll', beta: 'Pitch', alpha: 'Yaw' };
+        this.orientationMappings = [
+            { axis: 'gamma', target: 'wetDry', span: 45, from: 0, to: 1, curve: 'linear', invert: false }
+        ];
+        this.orientationModulation = {};   // target -> [{ slider, value }] from the last orientation update
+
+        const percent = v => Math.round(v * 100) + '%';
+        this.modulationTargets = {
+            wetDry: {
+                label: 'All Wet/Dry', min: 0, max: 1, format: percent,
+                params: [['dubDelay', 'wetDryMix', 'delayWetDry'], ['reverb', 'wetDryMix', 'reverbWetDry'],
+                    ['overdrive', 'wetDryMix', 'overdriveWetDry']]
+            },
+            delayTime: {
+                label: 'Delay Time', min: 0.1, max: 0.8, format: v => Math.round(v * 1000) + 'ms',
+                params: [['dubDelay', 'delayTime', 'delayTime']]
+            },
+            delayFeedback: {
+                label: 'Delay Feedback', min: 0, max: 0.8, format: percent,
+                params: [['dubDelay', 'feedback', 'delayFeedback']]
+            },
+            delayFilter: {
+                label: 'Delay Filter Cutoff', min: 200, max: 4000, format: v => Math.round(v) + 'Hz',
+                params: [['dubDelay', 'filterFreq']]
+            },
+            reverbDecay: {
+                label: 'Reverb Decay', min: 0.1, max: 3.0, step: 0.1, format: v => v.toFixed(1) + 's',
+                params: [['reverb', 'decay', 'reverbDecay']]
+            },
+            overdriveDrive: {
+                label: 'Overdrive Drive', min: 0, max: 0.8, step: 0.05, format: percent,
+                params: [['overdrive', 'drive', 'overdriveDrive']]
+            },
+            overdriveTone: {
+                label: 'Overdrive Tone', min: 0, max: 1, format: percent,
+                params: [['overdrive', 'tone', 'overdriveTone']]
+            }
+        };
         
-        // Reverb buffer cache to prevent memory issues
+        // Reverb buffer cache to prevent memory issues (least recently used room is dropped first)
         this.reverbBufferCache = new Map();
+        this.reverbCacheSize = 10;
+
+        // Synthesis randomness: every hit gets its own seed drawn from seedSource,
+        // and a PRNG seeded from it drives that hit's voice
+        this.randomSeed = null;
+        this.seedSource = Math.random;
+        if (options.random) {
+            this.setRandomSource(options.random);
+        } else {
+            const seed = options.seed !== undefined ? options.seed : this.getSeedFromUrl();
+            if (seed !== null) this.setRandomSeed(seed);
+        }
+
+        // Hit recording / replay
+        this.hitRecording = null;   // { startedAt, hits } while recording
+        this.lastPerformance = null;
+        this.replay = null;         // active replay scheduler state
+
+        // Metronome / click track (scheduled on the audio clock)
+        this.metronome = {
+            enabled: false,
+            bpm: 100,          // base BPM, scaled by the Playing Tempo multiplier
+            beatsPerBar: 4,
+            volume: 0.5,
+            beat: 0,           // next beat index within the bar
+            nextBeatTime: 0,
+            lastBeatTime: null,
+            timer: null,
+            gain: null
+        };
+
+        // Quantize live hits to the metronome grid
+        this.quantize = {
+            enabled: false,
+            subdivision: '16th', // '8th' | '16th' | 'triplet'
+            strength: 1.0,       // 0 = untouched, 1 = exactly on the grid
+            lookAhead: 0.12,     // max seconds a hit may be delayed to reach the grid
+            gridOrigin: null     // audio time of the grid when no metronome is running
+        };
+
+        // Step sequencer: 16 steps per material, each off or light/medium/strong
+        this.sequencer = {
+            steps: 16,
+            rows: ['wooden-spoon', 'metal-spoon', 'plastic-spoon', 'ceramic-spoon'],
+            pattern: {},
+            currentStep: 0,
+            nextStepTime: 0,
+            timer: null
+        };
+
+        // Loop station: record N bars of live hits, then overdub layers on top
+        this.looper = {
+            bars: 2,
+            state: 'idle',     // 'idle' | 'recording' | 'playing' | 'overdubbing'
+            layers: [],        // each layer is a list of hits with an offset into the loop
+            loopStart: 0,      // audio time of the first loop cycle
+            loopLength: 0,     // seconds
+            scheduledUntil: 0,
+            timer: null
+        };
+
+        // Gyroscope roll / tremolo gesture
+        this.tremolo = {
+            active: false,
+            minRate: 150,       // deg/s of rotation that counts as rolling
+            maxRate: 720,       // deg/s at which bursts are packed tightest
+            minReversals: 3,    // direction changes needed to start a roll...
+            window: 400,        // ...within this many ms
+            releaseTime: 200,   // ms without rotation that ends the roll
+            slowInterval: 0.07, // seconds between bursts at minRate
+            fastInterval: 0.025,// seconds between bursts at maxRate
+            reversals: [],
+            lastSign: 0,
+            lastActiveTime: 0,
+            rate: 0,            // smoothed rotation speed
+            nextBurstTime: 0,
+            timer: null
+        };
+
+        // Web MIDI output (the phone as a motion controller for a DAW)
+        this.midi = {
+            access: null,
+            outputEnabled: false,
+            outputId: null,
+            channel: 10,       // 1-16, GM percussion channel by default
+            noteMap: {},       // sound id -> note number, overrides cfg.midiNote
+            noteLength: 100,   // ms between note-on and note-off
+            inputEnabled: false,
+            inputId: null,
+            input: null,       // MIDIInput currently listened to
+            ccMap: {},         // CC number -> control slider id
+            learnTarget: null  // slider id waiting for the next CC
+        };
+
+        // Sliders an incoming CC can be learned onto
+        this.midiCcTargets = {
+            tempoSlider: 'Tempo',
+            wetDryMix: 'Master Wet/Dry',
+            delayTime: 'Delay Time',
+            delayFeedback: 'Delay Feedback',
+            delayWetDry: 'Delay Wet/Dry',
+            reverbRoomSize: 'Reverb Room Size',
+            reverbDecay: 'Reverb Decay',
+            reverbDamping: 'Reverb Damping',
+            reverbWetDry: 'Reverb Wet/Dry',
+            overdriveDrive: 'Overdrive Drive',
+            overdriveTone: 'Overdrive Tone',
+            overdriveLevel: 'Overdrive Level',
+            overdriveWetDry: 'Overdrive Wet/Dry'
+        };
+
+        // Session recorder (taps the effects bus output)
+        this.recorder = null;
+        // Every chunk is held as Float32 until export, so a take costs about
+        // seconds × sampleRate × 2 channels × 4 bytes (~70 MB for 3 minutes at 48 kHz).
+        // Export copies it once more and adds the WAV, so the peak is ~190 MB - about
+        // as much as a phone tab can be trusted with.
+        this.maxRecordingSeconds = 180;
+
+        // Shared effects bus (built once the audio context exists)
+        this.effectsBus = null;
+        this.effectsRampTime = 0.03;      // setTargetAtTime time constant for click-free changes
+        this.reverbCrossfadeTime = 0.15;  // time constant when swapping reverb impulses
         
         // Version management
         // Version managed manually in HTML
@@ -67,9 +315,49 @@ class SpoonSoundApp {
         this.lastMotionTime = 0;
         this.lastAcceleration = { x: 0, y: 0, z: 0 };
         this.shakeHistory = [];     // recent shakes (intensity, timestamp)
+
+        // Dynamics: shake strength -> continuous 0-1 velocity
+        this.dynamics = {
+            curve: 'linear',   // key of dynamicsCurves
+            floor: 0.4,        // delta (x motionThreshold) that maps to velocity 0
+            ceiling: 1.8,      // delta (x motionThreshold) that maps to velocity 1
+            // Velocities that reproduce the old light/medium/strong hits exactly
+            anchors: { light: 0.25, medium: 0.6, strong: 0.95 }
+        };
+        this.dynamicsCurves = {
+            linear: x => x,
+            soft: x => Math.sqrt(x),          // gentle shakes already sound full
+            hard: x => x * x,                 // only big shakes reach full strength
+            sCurve: x => x * x * (3 - 2 * x)  // compressed ends, expressive middle
+        };
+
+        // Stroke voicings: how a downstroke, upstroke or roll colours the selected spoon
+        this.strokeVoicings = {
+            down: { pitch: 'lowest', freqMul: 0.92, filterMul: 0.85, gain: 1.0, extraBursts: 0 },
+            up: { pitch: 'highest', freqMul: 1.08, filterMul: 1.35, gain: 0.9, extraBursts: 0 },
+            roll: { pitch: 'all', freqMul: 1.0, filterMul: 1.0, gain: 0.8, extraBursts: 2 }
+        };
+        this.strokeSymbols = { down: '↓', up: '↑', roll: '↻' };
+
+        // Shake calibration (a saved profile overrides the defaults above)
+        this.defaultShakeProfile = this.getShakeProfile();
+        this.calibration = null;             // active wizard state
+        this.calibrationShakesPerPhase = 5;
+        this.calibrationNoiseFloor = 2.0;    // deltas below this are hand tremor
+        this.calibrationGap = 120;           // ms of stillness that ends a shake
+        this.calibrationSource = null;       // null (defaults) | 'saved' | 'session' (storage failed)
         this.audioInstances = [];   // for cleanup
 
+        // Recorded spoon samples (decoded AudioBuffers, shared across audio contexts)
+        this.sampleBufferCache = new Map(); // url -> Promise<AudioBuffer>
+        this.sampleLayers = {};             // sound id -> { light: [], medium: [], strong: [] }
+        this.sampleRoundRobin = {};         // `${sound}:${layer}` -> next index
+
         // Spoon sound configs
+        // Any config can add recorded samples, played instead of the synthesis when loaded:
+        //   samples: { light: ['a.wav'], medium: ['b.wav', 'c.wav'], strong: ['d.wav'] }
+        // or a plain array of urls used for every intensity. sampleGain scales their level.
+        // A config can also tweak its stroke voicings, e.g. strokes: { up: { filterMul: 1.6 } }
         this.sounds = {
             'wooden-spoon': {
                 name: 'Wooden Spoon',
@@ -81,6 +369,7 @@ class SpoonSoundApp {
                 decayCurve: 'wood',  // Material-specific decay
                 resonanceQ: 2.5,     // Wood has higher Q factor for resonance
                 harmonicContent: [1.0, 0.6, 0.3, 0.15, 0.08], // Harmonic amplitude ratios
+                midiNote: 76,        // GM Hi Wood Block
             },
             'metal-spoon': {
                 name: 'Metal Spoon',
@@ -95,18 +384,21 @@ class SpoonSoundApp {
                 // Metal-specific characteristics
                 metallicBrightness: 1.5, // Boost high frequencies
                 inharmonicContent: 0.3,   // Add some inharmonic metallic content
+                midiNote: 56,        // GM Cowbell
             },
             'plastic-spoon': {
                 name: 'Plastic Spoon',
                 frequencies: [400, 600, 800, 1000],
                 type: 'sawtooth',
                 filterFreq: 1200,
+                midiNote: 75,        // GM Claves
             },
             'ceramic-spoon': {
                 name: 'Ceramic Spoon',
                 frequencies: [300, 450, 600, 750],
                 type: 'sine',
                 filterFreq: 800,
+                midiNote: 81,        // GM Open Triangle
             }
         };
 
@@ -130,11 +422,23 @@ class SpoonSoundApp {
         if (masterToggle) {
             masterToggle.checked = false;
         }
+
+        // A shared link (#rig=...) sets up the sender's rig
+        this.restoreStateFromUrl();
     }
 
     initializeElements() {
         this.startBtn = document.getElementById('startBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.recordBtn = document.getElementById('recordBtn');
+        this.stopRecordBtn = document.getElementById('stopRecordBtn');
+        this.recordBitDepth = document.getElementById('recordBitDepth');
+        this.hitRecordBtn = document.getElementById('hitRecordBtn');
+        this.hitStopBtn = document.getElementById('hitStopBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.exportPerformanceBtn = document.getElementById('exportPerformanceBtn');
+        this.renderPerformanceBtn = document.getElementById('renderPerformanceBtn');
+        this.performanceStatus = document.getElementById('performanceStatus');
         this.motionTestBtn = document.getElementById('motionTestBtn');
         this.spoon = document.getElementById('spoon');
         this.soundIndicator = document.getElementById('soundIndicator');
@@ -149,6 +453,26 @@ class SpoonSoundApp {
     setupEventListeners() {
         this.startBtn.addEventListener('click', () => this.startMotionDetection());
         this.stopBtn.addEventListener('click', () => this.stopMotionDetection());
+        this.recordBtn.addEventListener('click', () => this.startRecording());
+        this.stopRecordBtn.addEventListener('click', () => this.stopRecording());
+
+        // Performance (hit stream) recording and replay
+        this.hitRecordBtn.addEventListener('click', () => this.startHitRecording());
+        this.hitStopBtn.addEventListener('click', () => {
+            this.stopHitRecording();
+            this.stopReplay();
+        });
+        this.replayBtn.addEventListener('click', () => this.replayPerformance(this.lastPerformance));
+        this.exportPerformanceBtn.addEventListener('click', () => this.exportPerformance(this.lastPerformance));
+        this.renderPerformanceBtn.addEventListener('click', () => this.downloadRenderedPerformance(this.lastPerformance));
+        document.getElementById('importPerformanceBtn').addEventListener('click', () => {
+            document.getElementById('importPerformanceFile').click();
+        });
+        document.getElementById('importPerformanceFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPerformanceFile(file);
+            e.target.value = '';
+        });
         this.motionTestBtn.addEventListener('click', () => this.testMotionPermission());
 
         this.soundBtns.forEach(btn => {
@@ -181,37 +505,75 @@ class SpoonSoundApp {
             }
             
             this.tempoValue.textContent = `${this.tempo.toFixed(1)}x (${patternName})`;
+            this.updateMetronomeDisplay();
         });
 
         // Multiple ways to trigger sounds
         this.spoon.addEventListener('click', () => this.triggerSound());
         this.spoon.addEventListener('touchstart', () => this.triggerSound());
 
-        // Tap anywhere (except buttons) to play
+        // Tap anywhere (except buttons and form fields) to play
         document.addEventListener('click', (e) => {
-            if (this.isListening && e.target.tagName !== 'BUTTON') {
+            if (this.isListening && e.target.tagName !== 'BUTTON' && !this.isInsideDialog(e.target) && !this.isEditableTarget(e.target)) {
                 this.triggerSound();
             }
         });
 
         // Keyboard
         document.addEventListener('keydown', (e) => {
-            if (this.isListening && e.code === 'Space') {
+            if (this.isListening && e.code === 'Space' && !this.isInsideDialog(e.target) && !this.isEditableTarget(e.target)) {
                 e.preventDefault();
                 this.triggerSound();
             }
         });
 
+        // Shake calibration
+        this.setupCalibrationControls();
+
+        // Dynamics curve
+        document.getElementById('dynamicsCurve').addEventListener('change', (e) => {
+            this.dynamics.curve = e.target.value;
+            console.log(`🎚️ Dynamics curve: ${this.dynamics.curve}`);
+        });
+
+        // Metronome
+        this.setupMetronomeControls();
+        this.setupQuantizeControls();
+
+        // Step sequencer
+        this.sequencer.pattern = this.createEmptySequencerPattern();
+        this.setupSequencer();
+
+        // Loop station
+        this.setupLooperControls();
+
+        // Web MIDI
+        this.setupMidiControls();
+
         // Effects controls
         this.setupEffectsControls();
+        this.setupPedalDragging();
+        this.setupPresetControls();
         
         // Device orientation controls
         this.setupOrientationControls();
+        this.setupOrientationMatrix();
+        this.setupOrientationNeutral();
         
         // Easter egg: Add Sounds button
         this.setupAddSoundsButton();
     }
 
+    isInsideDialog(element) {
+        return !!(element && element.closest && element.closest('.custom-sound-dialog'));
+    }
+
+    // Form fields keep their own keys and clicks (e.g. spaces in a pattern name)
+    isEditableTarget(element) {
+        if (!element) return false;
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) || !!element.isContentEditable;
+    }
+
     setupEffectsControls() {
         // Wet/Dry mix control
         document.getElementById('wetDryMix').addEventListener('input', (e) => {
@@ -247,6 +609,12 @@ class SpoonSoundApp {
         });
 
         // Dub Delay controls (manual overrides)
+        document.getElementById('delayTime').addEventListener('input', (e) => {
+            this.effects.dubDelay.delayTime = parseFloat(e.target.value);
+            document.getElementById('delayTimeValue').textContent = Math.round(this.effects.dubDelay.delayTime * 1000) + 'ms';
+            this.updateEffectsChain();
+        });
+
         document.getElementById('delayFeedback').addEventListener('input', (e) => {
             this.effects.dubDelay.feedback = parseFloat(e.target.value);
             document.getElementById('delayFeedbackValue').textContent = Math.round(this.effects.dubDelay.feedback * 100) + '%';
@@ -309,434 +677,3340 @@ class SpoonSoundApp {
             document.getElementById('reverbWetDryValue').textContent = Math.round(this.effects.reverb.wetDryMix * 100) + '%';
             this.updateEffectsChain();
         });
-    }
 
-    updatePedalVisualState(pedalClass, enabled) {
-        const pedalElement = document.querySelector(`.${pedalClass}`);
-        if (pedalElement) {
-            if (enabled) {
-                pedalElement.classList.remove('disabled');
-            } else {
-                pedalElement.classList.add('disabled');
-            }
-        }
-    }
+        // Per-pedal tilt following
+        [['dubDelay', 'delay'], ['reverb', 'reverb'], ['overdrive', 'overdrive']].forEach(([effect, prefix]) => {
+            document.getElementById(`${prefix}FollowTilt`).addEventListener('change', (e) => {
+                this.effects[effect].followTilt = e.target.checked;
+                console.log(`🎛️ ${effect} ${e.target.checked ? 'follows' : 'ignores'} tilt`);
+            });
 
-    setupAddSoundsButton() {
-        const addSoundsBtn = document.getElementById('addSoundsBtn');
-        if (!addSoundsBtn) return;
+            document.getElementById(`${prefix}TiltSensitivity`).addEventListener('input', (e) => {
+                this.effects[effect].tiltSensitivity = parseFloat(e.target.value);
+                document.getElementById(`${prefix}TiltSensitivityValue`).textContent = this.effects[effect].tiltSensitivity.toFixed(2) + 'x';
+            });
+        });
+    }
 
-        let clickCount = 0;
-        const easterEggMessages = [
-            "🎵 Adding more spoons to the collection...",
-            "🥄 Searching for rare spoon sounds...",
-            "🎶 Unlocking hidden audio treasures...",
-            "✨ Discovering new musical possibilities...",
-            "🎪 Preparing a spoon symphony...",
-            "🎭 Creating magical sound experiences...",
-            "🌟 Summoning the Spoon Wizard...",
-            "🎨 Painting with sound waves...",
-            "🚀 Launching into audio space...",
-            "🎊 Easter egg activated! 🎊"
-        ];
+    setupPresetControls() {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
 
-        addSoundsBtn.addEventListener('click', () => {
-            clickCount++;
-            
-            // Add visual feedback
-            addSoundsBtn.classList.add('easter-egg-active');
-            setTimeout(() => {
-                addSoundsBtn.classList.remove('easter-egg-active');
-            }, 600);
+        // Factory presets only describe what they change from the start-up settings
+        this.defaultPresetState = this.getPresetState();
+        this.refreshPresetList();
 
-            // Show different messages based on click count
-            const messageIndex = Math.min(clickCount - 1, easterEggMessages.length - 1);
-            const message = easterEggMessages[messageIndex];
-            
-            console.log(`🥚 Easter Egg #${clickCount}: ${message}`);
-            
-            // Create a temporary toast notification
-            this.showEasterEggToast(message, clickCount);
-            
-            // Special behavior for 10th click
-            if (clickCount === 10) {
-                console.log('🎊 Ultimate Easter Egg Unlocked! 🎊');
-                this.unlockUltimateEasterEgg();
-                clickCount = 0; // Reset counter
-            }
+        document.getElementById('presetLoadBtn').addEventListener('click', () => {
+            if (select.value) this.loadPreset(select.value);
         });
+        document.getElementById('presetSaveBtn').addEventListener('click', () => {
+            this.savePreset(document.getElementById('presetName').value.trim());
+        });
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => {
+            if (select.value) this.deletePreset(select.value);
+        });
+        document.getElementById('presetShareBtn').addEventListener('click', () => this.copyShareLink());
+        document.getElementById('presetExportBtn').addEventListener('click', () => {
+            this.exportPresets(select.value ? [select.value] : []);
+        });
+        document.getElementById('presetExportAllBtn').addEventListener('click', () => {
+            this.exportPresets(Object.keys(this.getSavedPresets()).map(name => `user:${name}`));
+        });
+        const importFile = document.getElementById('presetImportFile');
+        document.getElementById('presetImportBtn').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPresetFile(file);
+            e.target.value = '';
+        });
+        window.addEventListener('hashchange', () => this.restoreStateFromUrl());
     }
 
-    showEasterEggToast(message, clickCount) {
-        // Remove existing toast if any
-        const existingToast = document.querySelector('.easter-egg-toast');
-        if (existingToast) {
-            existingToast.remove();
-        }
+    // Everything a preset captures, as plain JSON-safe data
+    getPresetState() {
+        return JSON.parse(JSON.stringify({
+            sound: this.currentSound,
+            tempo: this.tempo,
+            masterEffectsEnabled: this.masterEffectsEnabled,
+            wetDryMix: this.wetDryMix,
+            effects: this.effects,
+            effectsOrder: this.effectsOrder,
+            orientationMappings: this.orientationMappings
+        }));
+    }
 
-        // Create toast element
-        const toast = document.createElement('div');
-        toast.className = 'easter-egg-toast';
-        toast.innerHTML = `
-            <div class="toast-content">
-                <span class="toast-icon">🥚</span>
-                <span class="toast-message">${message}</span>
-                <span class="toast-count">#${clickCount}</span>
-            </div>
-        `;
+    applyPresetState(state) {
+        if (state.sound && this.sounds[state.sound]) {
+            this.selectSound(state.sound);
+        }
+        if (typeof state.tempo === 'number') {
+            this.tempo = Math.max(0.5, Math.min(3.0, state.tempo));
+        }
+        if (typeof state.masterEffectsEnabled === 'boolean') {
+            this.masterEffectsEnabled = state.masterEffectsEnabled;
+        }
+        if (typeof state.wetDryMix === 'number') {
+            this.wetDryMix = Math.max(0, Math.min(1, state.wetDryMix));
+        }
 
-        // Style the toast
-        Object.assign(toast.style, {
-            position: 'fixed',
-            top: '20px',
-            right: '20px',
-            background: 'linear-gradient(135deg, rgba(212, 175, 55, 0.95) 0%, rgba(184, 134, 11, 0.95) 100%)',
-            color: '#FFF8DC',
-            padding: '12px 16px',
-            borderRadius: '12px',
-            boxShadow: '0 8px 20px rgba(0,0,0,0.3)',
-            backdropFilter: 'blur(10px)',
-            border: '2px solid rgba(255, 248, 220, 0.3)',
-            zIndex: '10000',
-            fontFamily: "'Cinzel', serif",
-            fontSize: '0.9rem',
-            fontWeight: 'bold',
-            textShadow: '1px 1px 2px rgba(0,0,0,0.5)',
-            transform: 'translateX(100%)',
-            transition: 'transform 0.3s ease-in-out',
-            maxWidth: '300px',
-            wordWrap: 'break-word'
+        // Only settings this version knows about, with matching types, kept inside the slider ranges
+        Object.entries(state.effects || {}).forEach(([effect, settings]) => {
+            const pedal = this.effects[effect];
+            if (!pedal || !settings) return;
+            Object.keys(pedal).forEach(key => {
+                if (typeof settings[key] !== typeof pedal[key]) return;
+                const range = this.effectRanges[effect][key];
+                if (range) {
+                    if (!isFinite(settings[key])) return;
+                    pedal[key] = Math.max(range[0], Math.min(range[1], settings[key]));
+                } else {
+                    pedal[key] = settings[key];
+                }
+            });
         });
 
-        // Style toast content
-        const toastContent = toast.querySelector('.toast-content');
-        Object.assign(toastContent.style, {
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px'
-        });
+        if (this.isValidEffectsOrder(state.effectsOrder)) {
+            this.setEffectsOrder(state.effectsOrder);
+        }
 
-        // Style toast elements
-        const toastIcon = toast.querySelector('.toast-icon');
-        Object.assign(toastIcon.style, {
-            fontSize: '1.2rem'
-        });
+        if (Array.isArray(state.orientationMappings)) {
+            const fraction = v => Math.max(0, Math.min(1, v));
+            this.orientationMappings = state.orientationMappings
+                .filter(mapping => mapping && this.orientationAxes[mapping.axis] && this.modulationTargets[mapping.target])
+                .filter(mapping => [mapping.span, mapping.from, mapping.to].every(v => typeof v === 'number' && isFinite(v)) && mapping.span > 0)
+                .map(mapping => ({ ...mapping, from: fraction(mapping.from), to: fraction(mapping.to) }));
+            this.smoothedOrientation = null;
+        }
 
-        const toastMessage = toast.querySelector('.toast-message');
-        Object.assign(toastMessage.style, {
-            flex: '1'
-        });
+        this.syncEffectsControls();
+        this.renderOrientationMatrix();
+        this.updateEffectsChain();
+    }
 
-        const toastCount = toast.querySelector('.toast-count');
-        Object.assign(toastCount.style, {
-            background: 'rgba(255, 248, 220, 0.3)',
-            padding: '2px 6px',
-            borderRadius: '6px',
-            fontSize: '0.8rem'
+    // Put every FX rack control back in step with this.effects
+    syncEffectsControls() {
+        const percent = v => Math.round(v * 100) + '%';
+        const seconds = v => v.toFixed(1) + 's';
+        const { dubDelay, reverb, overdrive } = this.effects;
+        const sliders = [
+            ['wetDryMix', this.wetDryMix, percent, 'wetDryValue'],
+            ['delayTime', dubDelay.delayTime, v => Math.round(v * 1000) + 'ms'],
+            ['delayFeedback', dubDelay.feedback, percent],
+            ['delayWetDry', dubDelay.wetDryMix, percent],
+            ['reverbRoomSize', reverb.roomSize, seconds],
+            ['reverbDecay', reverb.decay, seconds],
+            ['reverbDamping', reverb.damping, percent],
+            ['reverbWetDry', reverb.wetDryMix, percent],
+            ['overdriveDrive', overdrive.drive, percent],
+            ['overdriveTone', overdrive.tone, percent],
+            ['overdriveLevel', overdrive.level, percent],
+            ['overdriveWetDry', overdrive.wetDryMix, percent],
+            ['delayTiltSensitivity', dubDelay.tiltSensitivity, v => v.toFixed(2) + 'x'],
+            ['reverbTiltSensitivity', reverb.tiltSensitivity, v => v.toFixed(2) + 'x'],
+            ['overdriveTiltSensitivity', overdrive.tiltSensitivity, v => v.toFixed(2) + 'x']
+        ];
+        sliders.forEach(([id, value, format, labelId = id + 'Value']) => {
+            document.getElementById(id).value = value;
+            document.getElementById(labelId).textContent = format(value);
         });
 
-        // Add to DOM
-        document.body.appendChild(toast);
-
-        // Animate in
-        setTimeout(() => {
-            toast.style.transform = 'translateX(0)';
-        }, 10);
+        document.getElementById('masterEffectsToggle').checked = this.masterEffectsEnabled;
+        [['dubDelay', 'dubDelayToggle', 'dub-delay', 'delay'], ['reverb', 'reverbToggle', 'reverb', 'reverb'],
+            ['overdrive', 'overdriveToggle', 'overdrive', 'overdrive']].forEach(([effect, toggleId, pedalClass, prefix]) => {
+            document.getElementById(toggleId).checked = this.effects[effect].enabled;
+            document.getElementById(`${prefix}FollowTilt`).checked = this.effects[effect].followTilt;
+            this.updatePedalVisualState(pedalClass, this.effects[effect].enabled);
+        });
 
-        // Remove after delay
-        setTimeout(() => {
-            toast.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    toast.parentNode.removeChild(toast);
-                }
-            }, 300);
-        }, 3000);
+        // The tempo slider's own handler knows how to describe the rhythm pattern
+        this.tempoSlider.value = this.tempo;
+        this.tempoSlider.dispatchEvent(new Event('input'));
     }
 
-    unlockUltimateEasterEgg() {
-        // Create ultimate easter egg notification
-        const ultimateToast = document.createElement('div');
-        ultimateToast.className = 'ultimate-easter-egg';
-        ultimateToast.innerHTML = `
-            <div class="ultimate-content">
-                <div class="ultimate-icon">🎊</div>
-                <div class="ultimate-title">Ultimate Easter Egg!</div>
-                <div class="ultimate-message">You've discovered the hidden spoon collection! The Spoon Wizard is impressed by your dedication to the art of musical spoonery.</div>
-                <div class="ultimate-reward">✨ Bonus: All effects are now 10% more magical! ✨</div>
-            </div>
-        `;
+    getSavedPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('shakiSpoons.presets')) || {};
+        } catch (error) {
+            console.warn('⚠️ Saved presets are unreadable:', error);
+            return {};
+        }
+    }
 
-        // Style the ultimate toast
-        Object.assign(ultimateToast.style, {
-            position: 'fixed',
-            top: '50%',
-            left: '50%',
-            transform: 'translate(-50%, -50%) scale(0)',
-            background: 'linear-gradient(135deg, rgba(212, 175, 55, 0.98) 0%, rgba(184, 134, 11, 0.98) 100%)',
-            color: '#FFF8DC',
-            padding: '24px',
-            borderRadius: '20px',
-            boxShadow: '0 20px 40px rgba(0,0,0,0.5)',
-            backdropFilter: 'blur(20px)',
-            border: '3px solid rgba(255, 248, 220, 0.4)',
-            zIndex: '10001',
-            fontFamily: "'Cinzel', serif",
-            textAlign: 'center',
-            maxWidth: '400px',
-            wordWrap: 'break-word',
-            transition: 'transform 0.5s ease-in-out'
-        });
+    getFactoryPreset(name) {
+        const changes = this.factoryPresets[name];
+        return changes ? this.mergePresetChanges(changes) : null;
+    }
 
-        // Style ultimate content
-        const ultimateContent = ultimateToast.querySelector('.ultimate-content');
-        Object.assign(ultimateContent.style, {
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: 'center',
-            gap: '12px'
+    // Start-up settings with a partial preset (factory or shared link) laid over them
+    mergePresetChanges(changes) {
+        const state = JSON.parse(JSON.stringify(this.defaultPresetState));
+        Object.entries(changes).forEach(([key, value]) => {
+            if (key === 'effects') {
+                Object.entries(value || {}).forEach(([effect, settings]) => {
+                    if (state.effects[effect]) Object.assign(state.effects[effect], settings);
+                });
+            } else {
+                state[key] = value;
+            }
         });
+        return state;
+    }
 
-        const ultimateIcon = ultimateToast.querySelector('.ultimate-icon');
-        Object.assign(ultimateIcon.style, {
-            fontSize: '3rem',
-            animation: 'spin 2s linear infinite'
+    // Only what differs from the start-up settings, so shared links stay short
+    getPresetChanges(state) {
+        const defaults = this.defaultPresetState;
+        const changes = {};
+        Object.keys(state).forEach(key => {
+            if (key === 'effects') {
+                Object.entries(state.effects).forEach(([effect, settings]) => {
+                    Object.entries(settings).forEach(([param, value]) => {
+                        if (defaults.effects[effect] && defaults.effects[effect][param] === value) return;
+                        changes.effects = changes.effects || {};
+                        changes.effects[effect] = changes.effects[effect] || {};
+                        changes.effects[effect][param] = value;
+                    });
+                });
+            } else if (JSON.stringify(state[key]) !== JSON.stringify(defaults[key])) {
+                changes[key] = state[key];
+            }
         });
+        return changes;
+    }
 
-        const ultimateTitle = ultimateToast.querySelector('.ultimate-title');
-        Object.assign(ultimateTitle.style, {
-            fontSize: '1.5rem',
-            fontWeight: 'bold',
-            textShadow: '2px 2px 4px rgba(0,0,0,0.5)'
-        });
+    getShareUrl() {
+        const json = JSON.stringify({ v: 1, ...this.getPresetChanges(this.getPresetState()) });
+        const bytes = new TextEncoder().encode(json);
+        const base64 = btoa(String.fromCharCode(...bytes));
+        const encoded = base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${window.location.href.split('#')[0]}#rig=${encoded}`;
+    }
 
-        const ultimateMessage = ultimateToast.querySelector('.ultimate-message');
-        Object.assign(ultimateMessage.style, {
-            fontSize: '1rem',
-            lineHeight: '1.4',
-            textShadow: '1px 1px 2px rgba(0,0,0,0.3)'
-        });
+    parseShareHash(hash) {
+        const match = /(?:^#|&)rig=([A-Za-z0-9_-]+)/.exec(hash || '');
+        if (!match) return null;
 
-        const ultimateReward = ultimateToast.querySelector('.ultimate-reward');
-        Object.assign(ultimateReward.style, {
-            fontSize: '0.9rem',
-            fontWeight: 'bold',
-            color: '#FFD700',
-            textShadow: '1px 1px 2px rgba(0,0,0,0.5)'
-        });
+        const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        const data = JSON.parse(new TextDecoder().decode(bytes));
+        if (!data || typeof data !== 'object' || data.v !== 1) {
+            throw new Error('unsupported link version');
+        }
+        delete data.v;
+        return data;
+    }
 
-        // Add spin animation
+    restoreStateFromUrl() {
+        let changes;
+        try {
+            changes = this.parseShareHash(window.location.hash);
+        } catch (error) {
+            console.warn('⚠️ Shared rig link is broken:', error);
+            this.setPresetStatus('❌ That shared link is broken - starting with defaults.');
+            return;
+        }
+        if (!changes) return;
+
+        // Links can be hand-edited, so check them like an imported preset file
+        try {
+            this.validatePresetState(changes, 'shared link');
+        } catch (error) {
+            console.warn('⚠️ Shared rig link has invalid settings:', error);
+            this.setPresetStatus(`❌ ${error.message} - keeping the current rig.`);
+            return;
+        }
+
+        this.applyPresetState(this.mergePresetChanges(changes));
+        this.setPresetStatus('🔗 Loaded the rig from the shared link');
+        console.log('🔗 Rig restored from URL:', changes);
+    }
+
+    async copyShareLink() {
+        const url = this.getShareUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            this.setPresetStatus('🔗 Link copied - send it to another player!');
+        } catch (error) {
+            // No clipboard access (e.g. plain http): let the player copy it by hand
+            window.prompt('Copy this link to share your rig:', url);
+        }
+    }
+
+    // Option values are prefixed so a user preset can share a factory preset's name
+    loadPreset(value) {
+        const [kind, name] = [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+        const state = kind === 'factory'
+            ? this.getFactoryPreset(name)
+            : (this.getSavedPresets()[name] || {}).state;
+        if (!state) {
+            this.setPresetStatus(`❌ Preset "${name}" not found`);
+            return;
+        }
+
+        this.applyPresetState(state);
+        if (kind === 'user') {
+            document.getElementById('presetName').value = name;
+        }
+        this.setPresetStatus(`📂 Loaded "${name}"`);
+        console.log(`🎛️ Preset loaded: ${name}`);
+    }
+
+    savePreset(name) {
+        if (!name) {
+            this.setPresetStatus('❌ Give the preset a name first.');
+            return;
+        }
+        const presets = this.getSavedPresets();
+        presets[name] = { state: this.getPresetState(), savedAt: Date.now() };
+        try {
+            localStorage.setItem('shakiSpoons.presets', JSON.stringify(presets));
+        } catch (error) {
+            // Full quota or storage disabled (e.g. Safari private mode)
+            console.error('Error saving preset:', error);
+            this.setPresetStatus(`❌ Could not save "${name}" - browser storage is full or unavailable.`);
+            return;
+        }
+        this.refreshPresetList(`user:${name}`);
+        this.setPresetStatus(`💾 Saved "${name}"`);
+    }
+
+    deletePreset(value) {
+        if (!value.startsWith('user:')) {
+            this.setPresetStatus('ℹ️ Factory presets can\'t be deleted.');
+            return;
+        }
+        const name = value.slice('user:'.length);
+        const presets = this.getSavedPresets();
+        delete presets[name];
+        try {
+            localStorage.setItem('shakiSpoons.presets', JSON.stringify(presets));
+        } catch (error) {
+            console.error('Error deleting preset:', error);
+            this.setPresetStatus(`❌ Could not delete "${name}" - browser storage is unavailable.`);
+            return;
+        }
+        this.refreshPresetList();
+        this.setPresetStatus(`🗑️ Deleted "${name}"`);
+    }
+
+    refreshPresetList(selected = '') {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
+        select.innerHTML = '<option value="">Presets…</option>';
+
+        const addGroup = (label, kind, names) => {
+            if (names.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = `${kind}:${name}`;
+                option.textContent = name;
+                option.selected = option.value === selected;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        addGroup('Factory', 'factory', Object.keys(this.factoryPresets));
+        addGroup('My Presets', 'user', Object.keys(this.getSavedPresets()).sort());
+    }
+
+    // Preset files: { format, version, presets: { name: state }, sounds: [custom spoon] }
+    exportPresets(names) {
+        const saved = this.getSavedPresets();
+        const presets = {};
+        names.forEach(value => {
+            const name = value.slice(value.indexOf(':') + 1);
+            const state = value.startsWith('factory:') ? this.getFactoryPreset(name) : (saved[name] || {}).state;
+            if (state) presets[name] = state;
+        });
+
+        // Nothing picked: export what's on the rack right now
+        if (Object.keys(presets).length === 0) {
+            const name = document.getElementById('presetName').value.trim() || 'Current Rig';
+            presets[name] = this.getPresetState();
+        }
+
+        // Bring along any custom spoons the presets need
+        const soundIds = new Set(Object.values(presets).map(state => state.sound));
+        const sounds = [...soundIds]
+            .filter(id => this.sounds[id] && this.sounds[id].custom && this.sampleLayers[id])
+            .map(id => this.exportCustomSound(id));
+
+        const data = {
+            format: 'shaki-spoons-presets',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            presets,
+            sounds
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `shaki-spoons-presets-${this.getTimestampForFilename()}.json`);
+
+        const count = Object.keys(presets).length;
+        this.setPresetStatus(`📤 Exported ${count} preset(s)${sounds.length ? ` and ${sounds.length} custom spoon(s)` : ''}`);
+    }
+
+    // 16-bit PCM keeps files a quarter the size of the stored floats
+    exportCustomSound(id) {
+        const buffer = this.sampleLayers[id].medium[0];
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => {
+            const data = buffer.getChannelData(channel);
+            const pcm = new Int16Array(data.length);
+            for (let i = 0; i < data.length; i++) {
+                pcm[i] = Math.max(-1, Math.min(1, data[i])) * 0x7fff;
+            }
+            const bytes = new Uint8Array(pcm.buffer);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        });
+        return { id, name: this.sounds[id].name, sampleRate: buffer.sampleRate, encoding: 'pcm16', channels };
+    }
+
+    async importPresetFile(file) {
+        let imported;
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('the file is not valid JSON');
+            }
+            imported = this.validatePresetFile(data);
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            this.setPresetStatus(`❌ Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        let newSounds = 0;
+        for (const record of imported.sounds) {
+            if (this.sounds[record.id]) continue; // already in the collection
+            try {
+                await this.saveCustomSoundRecord(record);
+            } catch (error) {
+                console.warn('⚠️ Could not save imported custom sound:', error);
+            }
+            this.registerCustomSound(record);
+            newSounds++;
+        }
+
+        const presets = this.getSavedPresets();
+        Object.entries(imported.presets).forEach(([name, state]) => {
+            presets[name] = { state, savedAt: Date.now() };
+        });
+        try {
+            localStorage.setItem('shakiSpoons.presets', JSON.stringify(presets));
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            this.setPresetStatus(`❌ Could not store the presets from ${file.name} - browser storage is full or unavailable.` +
+                (newSounds ? ` ${newSounds} custom spoon(s) were added.` : ''));
+            return;
+        }
+
+        const names = Object.keys(imported.presets);
+        this.refreshPresetList(names.length === 1 ? `user:${names[0]}` : '');
+        const missing = names.filter(name => !this.sounds[imported.presets[name].sound]);
+        this.setPresetStatus(`📂 Imported ${names.length} preset(s)` +
+            (newSounds ? ` and ${newSounds} custom spoon(s)` : '') +
+            (missing.length ? ` - ${missing.join(', ')} use a spoon you don't have` : ''));
+        console.log(`📂 Imported presets: ${names.join(', ')}`);
+    }
+
+    validatePresetFile(data) {
+        if (!data || typeof data !== 'object' || data.format !== 'shaki-spoons-presets') {
+            throw new Error('not a Shaki Spoons preset file');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('the file has no valid version number');
+        }
+        if (data.version > 1) {
+            throw new Error(`it was made by a newer version of Shaki Spoons (file version ${data.version}, this app reads version 1) - update the app to import it`);
+        }
+        if (!data.presets || typeof data.presets !== 'object' || Array.isArray(data.presets)) {
+            throw new Error('missing preset list');
+        }
+
+        const presets = {};
+        Object.entries(data.presets).forEach(([name, state]) => {
+            if (!name.trim() || name.length > 40) {
+                throw new Error(`preset name "${name}" must be 1-40 characters`);
+            }
+            presets[name] = this.validatePresetState(state, `preset "${name}"`);
+        });
+
+        const sounds = (data.sounds || []).map((sound, i) => this.validateCustomSoundDefinition(sound, i));
+        return { presets, sounds };
+    }
+
+    validatePresetState(state, label) {
+        const fail = (problem) => { throw new Error(`${label}: ${problem}`); };
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        if (!state || typeof state !== 'object') fail('settings are missing');
+        if (state.sound !== undefined && typeof state.sound !== 'string') fail('sound must be a spoon id');
+        if (state.tempo !== undefined && (!isNumber(state.tempo) || state.tempo < 0.5 || state.tempo > 3)) {
+            fail('tempo must be a number from 0.5 to 3');
+        }
+        if (state.masterEffectsEnabled !== undefined && typeof state.masterEffectsEnabled !== 'boolean') {
+            fail('masterEffectsEnabled must be true or false');
+        }
+        if (state.wetDryMix !== undefined && (!isNumber(state.wetDryMix) || state.wetDryMix < 0 || state.wetDryMix > 1)) {
+            fail('wetDryMix must be a number from 0 to 1');
+        }
+
+        Object.entries(state.effects || {}).forEach(([effect, settings]) => {
+            const pedal = this.effects[effect];
+            if (!pedal) fail(`unknown pedal "${effect}"`);
+            Object.entries(settings || {}).forEach(([param, value]) => {
+                if (!(param in pedal)) return; // settings from other builds are skipped
+                if (typeof value !== typeof pedal[param] || (typeof value === 'number' && !isFinite(value))) {
+                    fail(`${effect}.${param} must be a ${typeof pedal[param]}`);
+                }
+                const range = this.effectRanges[effect][param];
+                if (range && (value < range[0] || value > range[1])) {
+                    fail(`${effect}.${param} must be from ${range[0]} to ${range[1]} (got ${value})`);
+                }
+            });
+        });
+
+        if (state.effectsOrder !== undefined && !this.isValidEffectsOrder(state.effectsOrder)) {
+            fail(`effectsOrder must list ${Object.keys(this.effects).join(', ')} once each`);
+        }
+
+        if (state.orientationMappings !== undefined) {
+            if (!Array.isArray(state.orientationMappings)) fail('orientationMappings must be a list');
+            state.orientationMappings.forEach((mapping, i) => {
+                const where = `orientation mapping ${i + 1}`;
+                if (!mapping || !this.orientationAxes[mapping.axis]) fail(`${where} has an unknown axis`);
+                if (!this.modulationTargets[mapping.target]) fail(`${where} has an unknown target "${mapping.target}"`);
+                if (!isNumber(mapping.span) || mapping.span <= 0) fail(`${where} needs a positive range`);
+                if (!isNumber(mapping.from) || !isNumber(mapping.to)) fail(`${where} needs numeric from/to`);
+                if (mapping.from < 0 || mapping.from > 1 || mapping.to < 0 || mapping.to > 1) {
+                    fail(`${where} needs from/to between 0 and 1`);
+                }
+                if (!this.dynamicsCurves[mapping.curve]) fail(`${where} has an unknown curve "${mapping.curve}"`);
+                if (typeof mapping.invert !== 'boolean') fail(`${where} needs invert to be true or false`);
+            });
+        }
+        return state;
+    }
+
+    // Turns an exported custom spoon back into the record format IndexedDB stores
+    validateCustomSoundDefinition(sound, index) {
+        const label = sound && sound.name ? `custom spoon "${sound.name}"` : `custom spoon ${index + 1}`;
+        if (!sound || typeof sound.id !== 'string' || !sound.id.startsWith('custom-') || typeof sound.name !== 'string') {
+            throw new Error(`${label} needs a custom- id and a name`);
+        }
+        if (sound.encoding !== 'pcm16') {
+            throw new Error(`${label} uses unsupported audio encoding "${sound.encoding}"`);
+        }
+        if (!Number.isInteger(sound.sampleRate) || sound.sampleRate < 8000 || sound.sampleRate > 192000) {
+            throw new Error(`${label} has an invalid sample rate`);
+        }
+        if (!Array.isArray(sound.channels) || sound.channels.length < 1 || sound.channels.length > 2) {
+            throw new Error(`${label} must have one or two audio channels`);
+        }
+
+        const channels = sound.channels.map(encoded => {
+            let binary;
+            try {
+                binary = atob(encoded);
+            } catch (error) {
+                throw new Error(`${label} has corrupt audio data`);
+            }
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            const pcm = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+            return Float32Array.from(pcm, value => value / 0x7fff);
+        });
+        if (channels[0].length === 0 || channels.some(data => data.length !== channels[0].length)) {
+            throw new Error(`${label} has corrupt audio data`);
+        }
+        if (channels[0].length / sound.sampleRate > this.maxCustomSoundSeconds) {
+            throw new Error(`${label} is longer than ${this.maxCustomSoundSeconds} seconds`);
+        }
+
+        return { id: sound.id, name: sound.name, sampleRate: sound.sampleRate, channels, createdAt: Date.now() };
+    }
+
+    setPresetStatus(message) {
+        const status = document.getElementById('presetStatus');
+        if (status) status.textContent = message;
+    }
+
+    setupPedalDragging() {
+        const pedals = document.querySelectorAll('.pedal[data-effect]');
+        pedals.forEach(pedal => {
+            const handle = pedal.querySelector('.pedal-drag-handle');
+            if (!handle) return;
+
+            // Only the handle starts a drag, so the sliders still work normally
+            handle.addEventListener('mousedown', () => { pedal.draggable = true; });
+            // A click without a drag must not leave the card draggable (its sliders would drag it)
+            const release = () => {
+                if (this.draggedPedal !== pedal) pedal.draggable = false;
+            };
+            handle.addEventListener('mouseup', release);
+            pedal.addEventListener('mouseleave', release);
+            pedal.addEventListener('dragstart', (e) => {
+                this.draggedPedal = pedal;
+                pedal.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', pedal.dataset.effect);
+            });
+            pedal.addEventListener('dragover', (e) => {
+                if (!this.draggedPedal) return;
+                e.preventDefault();
+                this.movePedalNear(pedal, e.clientY);
+            });
+            pedal.addEventListener('drop', (e) => e.preventDefault());
+            pedal.addEventListener('dragend', () => this.finishPedalDrag());
+
+            // Touch devices don't get HTML drag and drop, so follow the finger instead
+            handle.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.draggedPedal = pedal;
+                pedal.classList.add('dragging');
+            }, { passive: false });
+            handle.addEventListener('touchmove', (e) => {
+                e.preventDefault();
+                const touch = e.touches[0];
+                const target = document.elementFromPoint(touch.clientX, touch.clientY);
+                const over = target && target.closest('.pedal[data-effect]');
+                if (over) this.movePedalNear(over, touch.clientY);
+            }, { passive: false });
+            handle.addEventListener('touchend', () => this.finishPedalDrag());
+        });
+
+        this.renderPedalOrder();
+    }
+
+    // Drop the dragged pedal above or below the one under the pointer
+    movePedalNear(over, clientY) {
+        const dragged = this.draggedPedal;
+        if (!dragged || over === dragged) return;
+        const rect = over.getBoundingClientRect();
+        const after = clientY > rect.top + rect.height / 2;
+        over.parentNode.insertBefore(dragged, after ? over.nextSibling : over);
+    }
+
+    finishPedalDrag() {
+        const pedal = this.draggedPedal;
+        if (!pedal) return;
+        this.draggedPedal = null;
+        pedal.classList.remove('dragging');
+        pedal.draggable = false;
+
+        const order = Array.from(document.querySelectorAll('.pedal[data-effect]')).map(p => p.dataset.effect);
+        this.setEffectsOrder(order);
+    }
+
+    isValidEffectsOrder(order) {
+        const names = Object.keys(this.effects);
+        return Array.isArray(order) && order.length === names.length && names.every(name => order.includes(name));
+    }
+
+    setEffectsOrder(order) {
+        if (!this.isValidEffectsOrder(order)) return;
+        this.effectsOrder = [...order];
+
+        // Rewire the running bus; offline renders build theirs from effectsOrder
+        if (this.effectsBus && this.effectsBus.context === this.audioContext) {
+            this.rewireEffectsBus(this.effectsBus);
+        }
+        this.renderPedalOrder();
+        console.log(`🎛️ FX chain order: ${this.effectsOrder.join(' → ')}`);
+    }
+
+    // Arrange the pedals in the rack to match effectsOrder and describe the chain
+    renderPedalOrder() {
+        this.effectsOrder.forEach(effect => {
+            const pedal = document.querySelector(`.pedal[data-effect="${effect}"]`);
+            if (pedal && pedal.parentNode) pedal.parentNode.appendChild(pedal);
+        });
+
+        const chain = document.getElementById('effectsChainOrder');
+        if (chain) {
+            chain.textContent = `Signal chain: ${this.effectsOrder.map(effect => this.effectNames[effect]).join(' → ')}`;
+        }
+    }
+
+    updatePedalVisualState(pedalClass, enabled) {
+        const pedalElement = document.querySelector(`.${pedalClass}`);
+        if (pedalElement) {
+            if (enabled) {
+                pedalElement.classList.remove('disabled');
+            } else {
+                pedalElement.classList.add('disabled');
+            }
+        }
+    }
+
+    setupAddSoundsButton() {
+        const addSoundsBtn = document.getElementById('addSoundsBtn');
+        if (!addSoundsBtn) return;
+
+        // The button opens the importer now, but it still keeps count: the 10th click
+        // unlocks the original easter egg
+        let clickCount = 0;
+        addSoundsBtn.addEventListener('click', () => {
+            this.openCustomSoundDialog();
+
+            clickCount++;
+            if (clickCount === 10) {
+                addSoundsBtn.classList.add('easter-egg-active');
+                setTimeout(() => {
+                    addSoundsBtn.classList.remove('easter-egg-active');
+                }, 600);
+
+                console.log('🎊 Ultimate Easter Egg Unlocked! 🎊');
+                this.showEasterEggToast('🎊 Easter egg activated! 🎊', clickCount);
+                this.unlockUltimateEasterEgg();
+                clickCount = 0; // Reset counter
+            }
+        });
+
+        this.setupCustomSoundDialog();
+
+        // Bring back sounds imported in earlier sessions
+        this.restoreCustomSounds();
+    }
+
+    setupCustomSoundDialog() {
+        this.customSoundDialog = document.getElementById('customSoundDialog');
+        if (!this.customSoundDialog) return;
+
+        this.pendingCustomSound = null; // decoded file waiting to be trimmed and saved
+        this.maxCustomSoundSeconds = 10;
+
+        const trimStart = document.getElementById('customTrimStart');
+        const trimEnd = document.getElementById('customTrimEnd');
+
+        document.getElementById('customSoundFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadCustomSoundFile(file);
+        });
+
+        // Keep at least 10ms between the trim handles
+        trimStart.addEventListener('input', () => {
+            if (parseFloat(trimStart.value) > parseFloat(trimEnd.value) - 0.01) {
+                trimStart.value = Math.max(0, parseFloat(trimEnd.value) - 0.01);
+            }
+            this.updateCustomTrimDisplay();
+        });
+
+        trimEnd.addEventListener('input', () => {
+            if (parseFloat(trimEnd.value) < parseFloat(trimStart.value) + 0.01) {
+                trimEnd.value = parseFloat(trimStart.value) + 0.01;
+            }
+            this.updateCustomTrimDisplay();
+        });
+
+        document.getElementById('customSoundPreview').addEventListener('click', () => this.previewCustomSound());
+        document.getElementById('customSoundSave').addEventListener('click', () => this.saveCustomSoundFromDialog());
+        document.getElementById('customSoundCancel').addEventListener('click', () => this.closeCustomSoundDialog());
+
+        // Clicking the backdrop closes the dialog
+        this.customSoundDialog.addEventListener('click', (e) => {
+            if (e.target === this.customSoundDialog) this.closeCustomSoundDialog();
+        });
+    }
+
+    openCustomSoundDialog() {
+        if (!this.customSoundDialog) return;
+
+        this.pendingCustomSound = null;
+        document.getElementById('customSoundFile').value = '';
+        document.getElementById('customSoundName').value = '';
+        document.getElementById('customTrimStart').disabled = true;
+        document.getElementById('customTrimEnd').disabled = true;
+        document.getElementById('customSoundPreview').disabled = true;
+        document.getElementById('customSoundSave').disabled = true;
+        this.setCustomSoundStatus('Choose a recording of your spoons to get started.');
+
+        this.customSoundDialog.hidden = false;
+    }
+
+    closeCustomSoundDialog() {
+        if (!this.customSoundDialog) return;
+        this.customSoundDialog.hidden = true;
+        this.pendingCustomSound = null;
+    }
+
+    setCustomSoundStatus(message, isError = false) {
+        const status = document.getElementById('customSoundStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    async loadCustomSoundFile(file) {
+        if (!/\.(wav|mp3|ogg)$/i.test(file.name) && !/^audio\/(wav|x-wav|wave|mpeg|mp3|ogg)$/.test(file.type)) {
+            this.setCustomSoundStatus('❌ Please choose a WAV, MP3 or OGG file.', true);
+            return;
+        }
+
+        this.setCustomSoundStatus('⏳ Decoding audio...');
+        try {
+            const buffer = await this.decodeAudioFile(file);
+            this.pendingCustomSound = { buffer, fileName: file.name };
+
+            const trimStart = document.getElementById('customTrimStart');
+            const trimEnd = document.getElementById('customTrimEnd');
+            trimStart.max = buffer.duration.toFixed(2);
+            trimEnd.max = buffer.duration.toFixed(2);
+            trimStart.value = 0;
+            trimEnd.value = Math.min(buffer.duration, this.maxCustomSoundSeconds).toFixed(2);
+            trimStart.disabled = false;
+            trimEnd.disabled = false;
+
+            const nameInput = document.getElementById('customSoundName');
+            if (!nameInput.value.trim()) {
+                nameInput.value = file.name.replace(/\.[^.]+$/, '').slice(0, 40);
+            }
+
+            document.getElementById('customSoundPreview').disabled = false;
+            document.getElementById('customSoundSave').disabled = false;
+            this.updateCustomTrimDisplay();
+            this.setCustomSoundStatus(`✅ Loaded ${buffer.duration.toFixed(2)}s of audio. Trim it down to a single hit.`);
+        } catch (error) {
+            console.error('Error decoding custom sound:', error);
+            this.pendingCustomSound = null;
+            this.setCustomSoundStatus('❌ Could not decode that file. Try a different recording.', true);
+        }
+    }
+
+    // decodeAudioData needs a context; before the app is started an offline one will do
+    decodeAudioFile(file) {
+        const ctx = this.audioContext || new OfflineAudioContext(1, 1, 44100);
+        return file.arrayBuffer().then(data => ctx.decodeAudioData(data));
+    }
+
+    updateCustomTrimDisplay() {
+        const start = parseFloat(document.getElementById('customTrimStart').value);
+        const end = parseFloat(document.getElementById('customTrimEnd').value);
+        document.getElementById('customTrimStartValue').textContent = start.toFixed(2) + 's';
+        document.getElementById('customTrimEndValue').textContent = end.toFixed(2) + 's';
+    }
+
+    getTrimmedCustomSound() {
+        if (!this.pendingCustomSound) return null;
+        const start = parseFloat(document.getElementById('customTrimStart').value);
+        const end = parseFloat(document.getElementById('customTrimEnd').value);
+        return this.sliceAudioBuffer(this.pendingCustomSound.buffer, start, end);
+    }
+
+    // Copy a section of a buffer, with a short fade-out so the cut doesn't click
+    sliceAudioBuffer(buffer, start, end) {
+        const startFrame = Math.floor(start * buffer.sampleRate);
+        const endFrame = Math.max(startFrame + 1, Math.min(buffer.length, Math.floor(end * buffer.sampleRate)));
+        const length = endFrame - startFrame;
+        const fadeFrames = Math.min(length, Math.floor(buffer.sampleRate * 0.005));
+
+        const sliced = new AudioBuffer({
+            length,
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel).slice(startFrame, endFrame);
+            for (let i = 0; i < fadeFrames; i++) {
+                data[length - 1 - i] *= i / fadeFrames;
+            }
+            sliced.copyToChannel(data, channel);
+        }
+        return sliced;
+    }
+
+    previewCustomSound() {
+        const buffer = this.getTrimmedCustomSound();
+        if (!buffer) return;
+
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            this.setCustomSoundStatus('ℹ️ Start the Sound App to preview your spoon.');
+            return;
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        this.createEffectsChain(source);
+        source.start();
+    }
+
+    async saveCustomSoundFromDialog() {
+        const buffer = this.getTrimmedCustomSound();
+        if (!buffer) return;
+
+        const name = document.getElementById('customSoundName').value.trim();
+        if (!name) {
+            this.setCustomSoundStatus('❌ Give your spoon a name.', true);
+            return;
+        }
+        if (buffer.duration > this.maxCustomSoundSeconds) {
+            this.setCustomSoundStatus(`❌ Trim the sound to ${this.maxCustomSoundSeconds} seconds or less.`, true);
+            return;
+        }
+
+        const record = {
+            id: `custom-${Date.now().toString(36)}`,
+            name,
+            sampleRate: buffer.sampleRate,
+            channels: Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i).slice()),
+            createdAt: Date.now()
+        };
+
+        let saved = true;
+        try {
+            await this.saveCustomSoundRecord(record);
+        } catch (error) {
+            // Still usable for this session even if it can't be stored
+            console.warn('⚠️ Could not save custom sound to IndexedDB:', error);
+            saved = false;
+        }
+
+        this.registerCustomSound(record);
+        this.selectSound(record.id);
+        this.closeCustomSoundDialog();
+        if (saved) {
+            this.showToast(`${name} added to your spoon collection!`);
+        } else {
+            this.showToast(`${name} added for this session only (storage unavailable)`, '⚠️');
+        }
+        console.log(`🎙️ Custom sound added: ${name}`);
+    }
+
+    // Add a stored custom sound to the sound configs, the picker and the collection
+    registerCustomSound(record) {
+        const buffer = new AudioBuffer({
+            length: record.channels[0].length,
+            numberOfChannels: record.channels.length,
+            sampleRate: record.sampleRate
+        });
+        record.channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+
+        // Synthesis settings are only a fallback; the recording is always used
+        this.sounds[record.id] = {
+            name: record.name,
+            custom: true,
+            frequencies: [300, 450, 600, 750],
+            type: 'triangle',
+            filterFreq: 800,
+        };
+        this.sampleLayers[record.id] = { light: [buffer], medium: [buffer], strong: [buffer] };
+
+        this.addCustomSoundElements(record.id, record.name, buffer.duration);
+    }
+
+    addCustomSoundElements(id, name, duration) {
+        const soundButtons = document.querySelector('.sound-buttons');
+        if (soundButtons) {
+            const btn = document.createElement('button');
+            btn.className = 'sound-btn';
+            btn.dataset.sound = id;
+            btn.textContent = `🥄 ${name}`;
+            btn.addEventListener('click', (e) => {
+                this.selectSound(e.currentTarget.dataset.sound);
+            });
+            soundButtons.appendChild(btn);
+            this.soundBtns = document.querySelectorAll('.sound-btn');
+        }
+        this.renderMidiNoteMap();
+
+        const spoonGrid = document.querySelector('.spoon-grid');
+        if (spoonGrid) {
+            const card = document.createElement('div');
+            card.className = 'spoon-card custom';
+            card.dataset.sound = id;
+            card.innerHTML = `
+                <button class="spoon-card-remove" title="Remove this spoon">×</button>
+                <div class="spoon-icon">🥄</div>
+                <div class="spoon-name"></div>
+                <div class="spoon-description"></div>
+                <div class="spoon-genre">Your Recording</div>
+            `;
+            card.querySelector('.spoon-name').textContent = name;
+            card.querySelector('.spoon-description').textContent = `Custom spoon sample (${duration.toFixed(2)}s) imported from your own recording`;
+            card.querySelector('.spoon-card-remove').addEventListener('click', () => this.removeCustomSound(id));
+            spoonGrid.appendChild(card);
+        }
+    }
+
+    async removeCustomSound(id) {
+        const cfg = this.sounds[id];
+        if (!cfg || !cfg.custom) return;
+        if (!confirm(`Remove ${cfg.name} from your spoon collection?`)) return;
+
+        if (this.currentSound === id) {
+            this.selectSound('wooden-spoon');
+        }
+
+        try {
+            await this.deleteCustomSoundRecord(id);
+        } catch (error) {
+            console.warn('⚠️ Could not delete custom sound from IndexedDB:', error);
+        }
+
+        delete this.sounds[id];
+        delete this.sampleLayers[id];
+        document.querySelectorAll(`[data-sound="${id}"]`).forEach(el => el.remove());
+        this.soundBtns = document.querySelectorAll('.sound-btn');
+        delete this.midi.noteMap[id];
+        this.renderMidiNoteMap();
+        console.log(`🗑️ Custom sound removed: ${cfg.name}`);
+    }
+
+    async restoreCustomSounds() {
+        try {
+            const records = await this.loadCustomSoundRecords();
+            records
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach(record => this.registerCustomSound(record));
+            if (records.length > 0) {
+                console.log(`🎙️ Restored ${records.length} custom sound(s)`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not restore custom sounds:', error);
+        }
+    }
+
+    // IndexedDB storage for imported sounds (raw PCM per channel)
+    openSoundDatabase() {
+        if (!this.soundDatabase) {
+            this.soundDatabase = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB not supported'));
+                    return;
+                }
+                const request = indexedDB.open('shaki-spoons', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('customSounds', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.soundDatabase;
+    }
+
+    async customSoundTransaction(mode, action) {
+        const db = await this.openSoundDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('customSounds', mode);
+            const request = action(tx.objectStore('customSounds'));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    saveCustomSoundRecord(record) {
+        return this.customSoundTransaction('readwrite', store => store.put(record));
+    }
+
+    loadCustomSoundRecords() {
+        return this.customSoundTransaction('readonly', store => store.getAll());
+    }
+
+    deleteCustomSoundRecord(id) {
+        return this.customSoundTransaction('readwrite', store => store.delete(id));
+    }
+
+    showEasterEggToast(message, clickCount) {
+        this.showToast(message, '🥚', `#${clickCount}`);
+    }
+
+    showToast(message, icon = '🥄', badge = '') {
+        // Remove existing toast if any
+        const existingToast = document.querySelector('.app-toast');
+        if (existingToast) {
+            existingToast.remove();
+        }
+
+        // Create toast element
+        const toast = document.createElement('div');
+        toast.className = 'app-toast';
+        toast.innerHTML = `
+            <div class="toast-content">
+                <span class="toast-icon">${icon}</span>
+                <span class="toast-message"></span>
+                ${badge ? `<span class="toast-count">${badge}</span>` : ''}
+            </div>
+        `;
+        toast.querySelector('.toast-message').textContent = message;
+
+        // Style the toast
+        Object.assign(toast.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            background: 'linear-gradient(135deg, rgba(212, 175, 55, 0.95) 0%, rgba(184, 134, 11, 0.95) 100%)',
+            color: '#FFF8DC',
+            padding: '12px 16px',
+            borderRadius: '12px',
+            boxShadow: '0 8px 20px rgba(0,0,0,0.3)',
+            backdropFilter: 'blur(10px)',
+            border: '2px solid rgba(255, 248, 220, 0.3)',
+            zIndex: '10000',
+            fontFamily: "'Cinzel', serif",
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            textShadow: '1px 1px 2px rgba(0,0,0,0.5)',
+            transform: 'translateX(100%)',
+            transition: 'transform 0.3s ease-in-out',
+            maxWidth: '300px',
+            wordWrap: 'break-word'
+        });
+
+        // Style toast content
+        const toastContent = toast.querySelector('.toast-content');
+        Object.assign(toastContent.style, {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+        });
+
+        // Style toast elements
+        const toastIcon = toast.querySelector('.toast-icon');
+        Object.assign(toastIcon.style, {
+            fontSize: '1.2rem'
+        });
+
+        const toastMessage = toast.querySelector('.toast-message');
+        Object.assign(toastMessage.style, {
+            flex: '1'
+        });
+
+        const toastCount = toast.querySelector('.toast-count');
+        if (toastCount) {
+            Object.assign(toastCount.style, {
+                background: 'rgba(255, 248, 220, 0.3)',
+                padding: '2px 6px',
+                borderRadius: '6px',
+                fontSize: '0.8rem'
+            });
+        }
+
+        // Add to DOM
+        document.body.appendChild(toast);
+
+        // Animate in
+        setTimeout(() => {
+            toast.style.transform = 'translateX(0)';
+        }, 10);
+
+        // Remove after delay
+        setTimeout(() => {
+            toast.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (toast.parentNode) {
+                    toast.parentNode.removeChild(toast);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    unlockUltimateEasterEgg() {
+        // Create ultimate easter egg notification
+        const ultimateToast = document.createElement('div');
+        ultimateToast.className = 'ultimate-easter-egg';
+        ultimateToast.innerHTML = `
+            <div class="ultimate-content">
+                <div class="ultimate-icon">🎊</div>
+                <div class="ultimate-title">Ultimate Easter Egg!</div>
+                <div class="ultimate-message">You've discovered the hidden spoon collection! The Spoon Wizard is impressed by your dedication to the art of musical spoonery.</div>
+                <div class="ultimate-reward">✨ Bonus: All effects are now 10% more magical! ✨</div>
+            </div>
+        `;
+
+        // Style the ultimate toast
+        Object.assign(ultimateToast.style, {
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%) scale(0)',
+            background: 'linear-gradient(135deg, rgba(212, 175, 55, 0.98) 0%, rgba(184, 134, 11, 0.98) 100%)',
+            color: '#FFF8DC',
+            padding: '24px',
+            borderRadius: '20px',
+            boxShadow: '0 20px 40px rgba(0,0,0,0.5)',
+            backdropFilter: 'blur(20px)',
+            border: '3px solid rgba(255, 248, 220, 0.4)',
+            zIndex: '10001',
+            fontFamily: "'Cinzel', serif",
+            textAlign: 'center',
+            maxWidth: '400px',
+            wordWrap: 'break-word',
+            transition: 'transform 0.5s ease-in-out'
+        });
+
+        // Style ultimate content
+        const ultimateContent = ultimateToast.querySelector('.ultimate-content');
+        Object.assign(ultimateContent.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            gap: '12px'
+        });
+
+        const ultimateIcon = ultimateToast.querySelector('.ultimate-icon');
+        Object.assign(ultimateIcon.style, {
+            fontSize: '3rem',
+            animation: 'spin 2s linear infinite'
+        });
+
+        const ultimateTitle = ultimateToast.querySelector('.ultimate-title');
+        Object.assign(ultimateTitle.style, {
+            fontSize: '1.5rem',
+            fontWeight: 'bold',
+            textShadow: '2px 2px 4px rgba(0,0,0,0.5)'
+        });
+
+        const ultimateMessage = ultimateToast.querySelector('.ultimate-message');
+        Object.assign(ultimateMessage.style, {
+            fontSize: '1rem',
+            lineHeight: '1.4',
+            textShadow: '1px 1px 2px rgba(0,0,0,0.3)'
+        });
+
+        const ultimateReward = ultimateToast.querySelector('.ultimate-reward');
+        Object.assign(ultimateReward.style, {
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            color: '#FFD700',
+            textShadow: '1px 1px 2px rgba(0,0,0,0.5)'
+        });
+
+        // Add spin animation
         const style = document.createElement('style');
         style.textContent = `
             @keyframes spin {
                 from { transform: rotate(0deg); }
                 to { transform: rotate(360deg); }
             }
-        `;
-        document.head.appendChild(style);
+        `;
+        document.head.appendChild(style);
+
+        // Add to DOM
+        document.body.appendChild(ultimateToast);
+
+        // Animate in
+        setTimeout(() => {
+            ultimateToast.style.transform = 'translate(-50%, -50%) scale(1)';
+        }, 10);
+
+        // Remove after delay
+        setTimeout(() => {
+            ultimateToast.style.transform = 'translate(-50%, -50%) scale(0)';
+            setTimeout(() => {
+                if (ultimateToast.parentNode) {
+                    ultimateToast.parentNode.removeChild(ultimateToast);
+                }
+                if (style.parentNode) {
+                    style.parentNode.removeChild(style);
+                }
+            }, 500);
+        }, 5000);
+
+        // Apply bonus effect (10% more magical effects)
+        this.applyEasterEggBonus();
+    }
+
+    applyEasterEggBonus() {
+        // Boost all effect parameters by 10% for a magical feel
+        this.effects.dubDelay.feedback *= 1.1;
+        this.effects.dubDelay.wetDryMix *= 1.1;
+        this.effects.overdrive.drive *= 1.1;
+        this.effects.overdrive.tone *= 1.1;
+        this.effects.overdrive.wetDryMix *= 1.1;
+        this.effects.reverb.roomSize *= 1.1;
+        this.effects.reverb.decay *= 1.1;
+        this.effects.reverb.wetDryMix *= 1.1;
+        
+        // Update the effects chain
+        this.updateEffectsChain();
+        
+        console.log('✨ Easter Egg Bonus Applied: All effects are now 10% more magical! ✨');
+    }
+
+    // Drop automation after `time` but keep the value a running ramp has reached,
+    // so a new glide starts from where the param is rather than jumping back
+    holdParam(param, time) {
+        if (param.cancelAndHoldAtTime) {
+            param.cancelAndHoldAtTime(time);
+        } else {
+            const value = param.value;
+            param.cancelScheduledValues(time);
+            param.setValueAtTime(value, time);
+        }
+    }
+
+    updateEffectsChain() {
+        // Push the current settings into the running effects bus (if audio has started)
+        const bus = this.effectsBus;
+        if (!bus || bus.context !== this.audioContext) return;
+        this.applyEffectSettings(bus);
+    }
+
+    applyEffectSettings(bus) {
+        const now = bus.context.currentTime;
+        const applied = bus.appliedValues;
+
+        // Only touch params whose value changed; glide there so running tails don't click
+        const set = (param, value) => {
+            const previous = applied.get(param);
+            if (previous === value) return;
+            if (previous === undefined) {
+                param.setValueAtTime(value, now);
+            } else {
+                this.holdParam(param, now);
+                param.setTargetAtTime(value, now, this.effectsRampTime);
+            }
+            applied.set(param, value);
+        };
+        const { dubDelay, reverb, overdrive } = this.effects;
+        const anyEnabled = dubDelay.enabled || reverb.enabled || overdrive.enabled;
+        const masterOn = this.masterEffectsEnabled && anyEnabled;
+
+        // Master wet/dry: fully dry when master FX is off or no pedal is on
+        set(bus.wet.gain, masterOn ? this.wetDryMix : 0);
+        set(bus.dry.gain, masterOn ? 1 - this.wetDryMix : 1);
+
+        // Disabled pedals pass the signal straight through
+        const setStageMix = (stage, effect) => {
+            set(stage.wet.gain, effect.enabled ? effect.wetDryMix : 0);
+            set(stage.dry.gain, effect.enabled ? 1 - effect.wetDryMix : 1);
+        };
+
+        // Dub Delay
+        const delayStage = bus.stages.dubDelay;
+        setStageMix(delayStage, dubDelay);
+        set(delayStage.delay.delayTime, dubDelay.delayTime);
+        set(delayStage.feedback.gain, dubDelay.feedback);
+        set(delayStage.filter.frequency, dubDelay.filterFreq);
+
+        // Reverb (impulse only regenerated when the room changes)
+        const reverbStage = bus.stages.reverb;
+        setStageMix(reverbStage, reverb);
+        this.requestReverbImpulse(reverbStage, reverb.roomSize, reverb.decay, reverb.damping);
+
+        // Overdrive
+        const overdriveStage = bus.stages.overdrive;
+        setStageMix(overdriveStage, overdrive);
+        set(overdriveStage.driveGain.gain, 1 + (overdrive.drive * 10));
+        set(overdriveStage.toneFilter.frequency, 80 + (overdrive.tone * 200));
+        set(overdriveStage.levelGain.gain, overdrive.level * 0.8);
+        if (overdriveStage.curveDrive !== overdrive.drive) {
+            overdriveStage.waveShaper.curve = this.createOverdriveCurve(overdrive.drive);
+            overdriveStage.curveDrive = overdrive.drive;
+        }
+    }
+
+    setupOrientationControls() {
+        // Check if device orientation is supported
+        if (!window.DeviceOrientationEvent) {
+            console.log('❌ Device orientation not supported');
+            return;
+        }
+
+        // Request permission for iOS
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            console.log('📱 Device orientation permission needed');
+        }
+
+        // Bind the orientation handler
+        this._onDeviceOrientation = (e) => this.handleOrientation(e);
+        
+        // Add orientation event listener
+        window.addEventListener('deviceorientation', this._onDeviceOrientation, true);
+        
+        console.log('🎛️ Device orientation tracking enabled for effects control');
+    }
+
+    handleOrientation(event) {
+        if (!this.isListening) return;
+
+        // Update orientation data
+        this.deviceOrientation.alpha = event.alpha || 0;  // Z-axis (yaw)
+        this.deviceOrientation.beta = event.beta || 0;    // X-axis (pitch) 
+        this.deviceOrientation.gamma = event.gamma || 0;  // Y-axis (roll)
+
+        // Calibrate on first reading
+        if (!this.orientationCalibrated) {
+            this.orientationOffset = {
+                alpha: this.deviceOrientation.alpha,
+                beta: this.deviceOrientation.beta,
+                gamma: this.deviceOrientation.gamma
+            };
+            this.orientationCalibrated = true;
+            // Reset smoothing when calibrating
+            this.smoothedOrientation = null;
+            console.log('🎛️ Orientation calibrated:', this.orientationOffset);
+        }
+        this.recentreOrientation(Date.now());
+
+        // Calculate relative orientation (subtract calibration offset)
+        // Yaw wraps around, so keep it within -180..180 of the zero point
+        const relativeOrientation = {
+            alpha: ((this.deviceOrientation.alpha - this.orientationOffset.alpha + 540) % 360) - 180,
+            beta: this.deviceOrientation.beta - this.orientationOffset.beta,
+            gamma: this.deviceOrientation.gamma - this.orientationOffset.gamma
+        };
+
+        // Map orientation to effects parameters
+        this.updateEffectsFromOrientation(relativeOrientation);
+    }
+
+    updateEffectsFromOrientation(orientation) {
+        // Each mapping in the modulation matrix turns one axis into one effect parameter.
+        // The calibrated zero point is the centre of every axis' range.
+
+        // Add smoothing to prevent sudden jumps
+        if (!this.smoothedOrientation) {
+            this.smoothedOrientation = { ...orientation };
+        }
+
+        // Limit maximum change per frame to prevent large jumps
+        const maxChangePerFrame = 1; // Maximum degrees change per frame
+        ['alpha', 'beta', 'gamma'].forEach(axis => {
+            let difference = (orientation[axis] || 0) - this.smoothedOrientation[axis];
+            // Yaw wraps at ±180, so step the short way round instead of back through zero
+            if (axis === 'alpha') difference = ((difference + 540) % 360) - 180;
+            this.smoothedOrientation[axis] += Math.max(-maxChangePerFrame, Math.min(maxChangePerFrame, difference));
+        });
+        this.smoothedOrientation.alpha = ((this.smoothedOrientation.alpha + 540) % 360) - 180;
+
+        // Later mappings win when two drive the same target. Pedals that don't
+        // follow tilt keep whatever the player set by hand.
+        this.orientationModulation = {};
+        this.orientationMappings.forEach(mapping => {
+            const target = this.modulationTargets[mapping.target];
+            if (!target) return;
+            const applied = [];
+            target.params.forEach(([effect, param, slider]) => {
+                const pedal = this.effects[effect];
+                if (!pedal.followTilt) return;
+                const angle = this.smoothedOrientation[mapping.axis] * pedal.tiltSensitivity;
+                const value = this.getOrientationMappingValue(mapping, angle);
+                pedal[param] = value;
+                applied.push({ slider, value });
+            });
+            this.orientationModulation[mapping.target] = applied;
+        });
+
+        // Update the effects chain with new parameters
+        this.updateEffectsChain();
+
+        // Update UI display values
+        this.updateOrientationDisplay(orientation);
+    }
+
+    // Angle -> target value through the mapping's range, inversion and curve
+    getOrientationMappingValue(mapping, angle) {
+        const target = this.modulationTargets[mapping.target];
+        const span = mapping.span;
+        const clamped = Math.max(-span, Math.min(span, angle || 0));
+
+        // 0 = -span, 0.5 = calibrated zero, 1 = +span
+        let amount = (clamped + span) / (span * 2);
+        if (mapping.invert) amount = 1 - amount;
+        const curve = this.dynamicsCurves[mapping.curve] || this.dynamicsCurves.linear;
+        amount = curve(amount);
+
+        const from = target.min + (target.max - target.min) * mapping.from;
+        const to = target.min + (target.max - target.min) * mapping.to;
+        let value = from + (to - from) * amount;
+        if (target.step) {
+            // Stepped targets rebuild buffers when they change, so don't chase every degree
+            value = Math.round(value / target.step) * target.step;
+        }
+        return value;
+    }
+
+    updateOrientationDisplay(orientation) {
+        // Move the sliders of every modulated parameter in real-time
+        Object.entries(this.orientationModulation || {}).forEach(([key, applied]) => {
+            const target = this.modulationTargets[key];
+            applied.forEach(({ slider: id, value }) => {
+                if (!id) return;
+                const slider = document.getElementById(id);
+                if (slider) slider.value = value;
+                const label = document.getElementById(id + 'Value');
+                if (label) label.textContent = target.format(value);
+            });
+        });
+
+        // Update orientation display (if element exists) - current angles and what they drive
+        const orientationDisplay = document.getElementById('orientationDisplay');
+        if (orientationDisplay) {
+            const angle = (axis) => {
+                const value = orientation[axis] || 0;
+                return `${value >= 0 ? '+' : ''}${value.toFixed(1)}°`;
+            };
+
+            const rows = this.orientationMappings.map(mapping => {
+                const target = this.modulationTargets[mapping.target];
+                if (!target) return '';
+                const applied = this.orientationModulation[mapping.target] || [];
+                const value = applied.length > 0 ? target.format(applied[0].value) : '(locked)';
+                return `<div>${this.orientationAxes[mapping.axis]}: ${angle(mapping.axis)} → ${target.label} ${value}</div>`;
+            });
+
+            const offset = this.orientationOffset;
+            const autoInfo = this.orientationAutoRecentre.enabled ? ' (auto-recentring)' : '';
+
+            orientationDisplay.innerHTML = `
+                <div>Neutral: Yaw ${offset.alpha.toFixed(1)}° · Pitch ${offset.beta.toFixed(1)}° · Roll ${offset.gamma.toFixed(1)}°${autoInfo}</div>
+                <div>Yaw ${angle('alpha')} · Pitch ${angle('beta')} · Roll ${angle('gamma')}</div>
+                ${rows.join('') || '<div>No orientation mappings</div>'}
+            `;
+        }
+    }
+
+    setupOrientationNeutral() {
+        const neutralBtn = document.getElementById('setNeutralBtn');
+        if (!neutralBtn) return;
+
+        neutralBtn.addEventListener('click', () => this.setOrientationNeutral());
+
+        // Double-tap the orientation readout to re-centre without hunting for the button
+        const display = document.getElementById('orientationDisplay');
+        display.addEventListener('dblclick', () => this.setOrientationNeutral());
+        // Taps here are for re-centring, not for the tap-anywhere-to-play handler
+        display.addEventListener('click', (e) => e.stopPropagation());
+        display.addEventListener('touchend', (e) => {
+            const now = Date.now();
+            if (now - this.lastOrientationTap < 300) {
+                e.preventDefault(); // keep the second tap from zooming
+                this.lastOrientationTap = 0;
+                this.setOrientationNeutral();
+            } else {
+                this.lastOrientationTap = now;
+            }
+        });
+
+        document.getElementById('autoRecentreToggle').addEventListener('change', (e) => {
+            this.orientationAutoRecentre.enabled = e.target.checked;
+            console.log(`🎯 Auto-recentre ${e.target.checked ? 'on' : 'off'}`);
+        });
+    }
+
+    // Treat however the device is held right now as the new zero point
+    setOrientationNeutral() {
+        if (!this.orientationCalibrated) {
+            this.showToast('Start the app and tilt your device first', '🎯');
+            return;
+        }
+        this.orientationOffset = { ...this.deviceOrientation };
+        this.smoothedOrientation = null;
+        console.log('🎛️ Orientation re-calibrated:', this.orientationOffset);
+        this.showToast('Neutral position set', '🎯');
+    }
+
+    // Let the zero point creep towards the current position so slow posture
+    // changes fade out while quick tilts still register
+    recentreOrientation(now) {
+        const elapsed = this.lastOrientationTime ? now - this.lastOrientationTime : 0;
+        this.lastOrientationTime = now;
+        if (!this.orientationAutoRecentre.enabled || elapsed <= 0) return;
+
+        const amount = 1 - Math.exp(-elapsed / (this.orientationAutoRecentre.timeConstant * 1000));
+        ['alpha', 'beta', 'gamma'].forEach(axis => {
+            let difference = this.deviceOrientation[axis] - this.orientationOffset[axis];
+            if (axis === 'alpha') {
+                difference = ((difference + 540) % 360) - 180;
+            }
+            this.orientationOffset[axis] += difference * amount;
+        });
+        this.orientationOffset.alpha = (this.orientationOffset.alpha + 360) % 360;
+    }
+
+    setupOrientationMatrix() {
+        const addBtn = document.getElementById('addOrientationMappingBtn');
+        if (!addBtn) return;
+
+        addBtn.addEventListener('click', () => {
+            this.orientationMappings.push({
+                axis: 'beta', target: 'delayTime', span: 45, from: 0, to: 1, curve: 'linear', invert: false
+            });
+            this.renderOrientationMatrix();
+        });
+
+        this.renderOrientationMatrix();
+    }
+
+    renderOrientationMatrix() {
+        const matrix = document.getElementById('orientationMatrix');
+        if (!matrix) return;
+        matrix.innerHTML = '';
+
+        const select = (options, value, onChange) => {
+            const el = document.createElement('select');
+            Object.entries(options).forEach(([key, label]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = label;
+                el.appendChild(option);
+            });
+            el.value = value;
+            el.addEventListener('change', () => onChange(el.value));
+            return el;
+        };
+        const number = (min, max, value, onChange) => {
+            const el = document.createElement('input');
+            el.type = 'number';
+            el.min = min;
+            el.max = max;
+            el.value = value;
+            el.addEventListener('change', () => {
+                const parsed = Math.max(min, Math.min(max, parseFloat(el.value) || 0));
+                el.value = parsed;
+                onChange(parsed);
+            });
+            return el;
+        };
+        const field = (labelText, control) => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            group.appendChild(label);
+            group.appendChild(control);
+            return group;
+        };
+
+        const targets = {};
+        Object.entries(this.modulationTargets).forEach(([key, target]) => { targets[key] = target.label; });
+        const curves = { linear: 'Linear', soft: 'Soft', hard: 'Hard', sCurve: 'S-Curve' };
+
+        this.orientationMappings.forEach((mapping, index) => {
+            const row = document.createElement('div');
+            row.className = 'orientation-mapping';
+
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.checked = mapping.invert;
+            invert.addEventListener('change', () => { mapping.invert = invert.checked; });
+
+            const remove = document.createElement('button');
+            remove.className = 'orientation-mapping-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove this mapping';
+            remove.addEventListener('click', () => {
+                this.orientationMappings.splice(index, 1);
+                this.renderOrientationMatrix();
+            });
+
+            row.appendChild(field('Axis', select(this.orientationAxes, mapping.axis, v => { mapping.axis = v; })));
+            row.appendChild(field('Controls', select(targets, mapping.target, v => { mapping.target = v; })));
+            row.appendChild(field('Range ±°', number(5, 90, mapping.span, v => { mapping.span = v; })));
+            row.appendChild(field('From %', number(0, 100, Math.round(mapping.from * 100), v => { mapping.from = v / 100; })));
+            row.appendChild(field('To %', number(0, 100, Math.round(mapping.to * 100), v => { mapping.to = v / 100; })));
+            row.appendChild(field('Curve', select(curves, mapping.curve, v => { mapping.curve = v; })));
+            row.appendChild(field('Invert', invert));
+            row.appendChild(remove);
+            matrix.appendChild(row);
+        });
+    }
+
+    startRecording() {
+        if (!this.audioContext || this.recorder) return;
+
+        const bus = this.getEffectsBus();
+        // ScriptProcessorNode is deprecated but still the most widely supported way
+        // to pull raw samples on mobile Safari without a separate worklet file
+        const processor = this.audioContext.createScriptProcessor(4096, 2, 2);
+        const mute = this.audioContext.createGain();
+        mute.gain.value = 0;
+
+        const recorder = {
+            processor,
+            mute,
+            sampleRate: this.audioContext.sampleRate,
+            chunks: [[], []],
+            length: 0,
+            startedAt: Date.now()
+        };
+
+        processor.onaudioprocess = (e) => {
+            for (let channel = 0; channel < 2; channel++) {
+                const input = e.inputBuffer.getChannelData(Math.min(channel, e.inputBuffer.numberOfChannels - 1));
+                recorder.chunks[channel].push(new Float32Array(input));
+            }
+            recorder.length += e.inputBuffer.length;
+
+            if (recorder.length / recorder.sampleRate >= this.maxRecordingSeconds) {
+                console.log('⏹️ Recording reached the time limit');
+                this.stopRecording();
+            }
+        };
+
+        // The processor only runs while connected to the destination, so route it through a muted gain
+        bus.output.connect(processor);
+        processor.connect(mute);
+        mute.connect(this.audioContext.destination);
+
+        this.recorder = recorder;
+        this.recordBtn.disabled = true;
+        this.recordBtn.classList.add('recording');
+        this.stopRecordBtn.disabled = false;
+        this.recordBitDepth.disabled = true;
+
+        this._recordTimer = setInterval(() => this.updateRecordingDisplay(), 500);
+        this.updateRecordingDisplay();
+        console.log('⏺️ Recording started');
+    }
+
+    stopRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return;
+        this.recorder = null;
+
+        recorder.processor.onaudioprocess = null;
+        try {
+            recorder.processor.disconnect();
+            recorder.mute.disconnect();
+            if (this.effectsBus) this.effectsBus.output.disconnect(recorder.processor);
+        } catch (error) {
+            // Context may already be closing
+        }
+
+        clearInterval(this._recordTimer);
+        this.recordBtn.textContent = '● Record';
+        this.recordBtn.classList.remove('recording');
+        this.recordBtn.disabled = !this.isListening;
+        this.stopRecordBtn.disabled = true;
+        this.recordBitDepth.disabled = false;
+
+        if (recorder.length === 0) {
+            console.log('ℹ️ Recording was empty - nothing to export');
+            return;
+        }
+
+        const channels = recorder.chunks.map(chunks => this.concatFloat32(chunks, recorder.length));
+        const bitDepth = parseInt(this.recordBitDepth.value, 10) === 24 ? 24 : 16;
+        const wav = this.encodeWav(channels, recorder.sampleRate, bitDepth);
+        this.downloadBlob(wav, `shaki-spoons-${this.getTimestampForFilename(recorder.startedAt)}.wav`);
+
+        console.log(`⏹️ Recording saved: ${(recorder.length / recorder.sampleRate).toFixed(1)}s, ${bitDepth}-bit`);
+    }
+
+    updateRecordingDisplay() {
+        if (!this.recorder) return;
+        const seconds = Math.floor(this.recorder.length / this.recorder.sampleRate);
+        const minutes = Math.floor(seconds / 60);
+        this.recordBtn.textContent = `● ${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    concatFloat32(chunks, length) {
+        const result = new Float32Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    // Interleaved little-endian PCM WAV (16 or 24 bit)
+    encodeWav(channels, sampleRate, bitDepth = 16) {
+        const numChannels = channels.length;
+        const numFrames = channels[0].length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);            // fmt chunk size
+        view.setUint16(20, 1, true);             // PCM
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const maxValue = Math.pow(2, bitDepth - 1) - 1;
+        let offset = 44;
+        for (let i = 0; i < numFrames; i++) {
+            for (let channel = 0; channel < numChannels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample * maxValue);
+                if (bitDepth === 24) {
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                } else {
+                    view.setInt16(offset, value, true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getTimestampForFilename(time = Date.now()) {
+        const d = new Date(time);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+    }
+
+    // Small, fast seeded PRNG (mulberry32) so synthesis can be reproduced exactly
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Seed all synthesis randomness. Accepts a number or any string (hashed).
+    setRandomSeed(seed) {
+        this.randomSeed = this.parseSeed(seed);
+        this.seedSource = this.createSeededRandom(this.randomSeed);
+        this.resetRandomState();
+        console.log(`🎲 Random seed set to ${this.randomSeed}`);
+        return this.randomSeed;
+    }
+
+    // Inject any random source, e.g. a stub returning fixed values in tests
+    setRandomSource(random) {
+        if (typeof random !== 'function') {
+            throw new TypeError('Random source must be a function returning a number in [0, 1)');
+        }
+        this.randomSeed = null;
+        this.seedSource = random;
+        this.resetRandomState();
+    }
+
+    // Go back to unseeded (Math.random) behaviour
+    clearRandomSeed() {
+        this.randomSeed = null;
+        this.seedSource = Math.random;
+        this.resetRandomState();
+    }
+
+    // Anything derived from earlier randomness has to be regenerated
+    resetRandomState() {
+        this.sampleRoundRobin = {};
+        this.reverbBufferCache.clear();
+        if (this.effectsBus) {
+            this.effectsBus.stages.reverb.impulseKey = null;
+            this.updateEffectsChain();
+        }
+    }
+
+    nextHitSeed() {
+        return Math.floor(this.seedSource() * 4294967296) >>> 0;
+    }
+
+    getSeedFromUrl() {
+        try {
+            const seed = new URLSearchParams(window.location.search).get('seed');
+            return seed === null || seed === '' ? null : seed;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    parseSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+        const text = String(seed).trim();
+        return /^\d+$/.test(text) ? Number(text) >>> 0 : this.hashString(text);
+    }
+
+    // FNV-1a string hash
+    hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    startHitRecording() {
+        if (this.hitRecording) return;
+        this.stopReplay();
+
+        // Round-robin position is part of what a hit sounds like, so start fresh
+        this.sampleRoundRobin = {};
+        this.hitRecording = { startedAt: Date.now(), hits: [] };
+
+        this.hitRecordBtn.disabled = true;
+        this.hitRecordBtn.classList.add('recording');
+        this.hitStopBtn.disabled = false;
+        this.replayBtn.disabled = true;
+        this.setPerformanceStatus('⏺️ Recording hits... play away!');
+        console.log('⏺️ Hit recording started');
+    }
+
+    recordHit(hit) {
+        if (!this.hitRecording) return;
+        this.hitRecording.hits.push({
+            t: hit.timestamp - this.hitRecording.startedAt,
+            sound: hit.sound,
+            intensity: hit.intensity,
+            velocity: hit.velocity,
+            stroke: hit.stroke,
+            burst: hit.burst,
+            rhythm: hit.rhythm,
+            tempo: hit.tempo,
+            seed: hit.seed
+        });
+        this.setPerformanceStatus(`⏺️ Recording hits... ${this.hitRecording.hits.length} so far`);
+    }
+
+    stopHitRecording() {
+        const recording = this.hitRecording;
+        if (!recording) return;
+        this.hitRecording = null;
+
+        this.hitRecordBtn.disabled = !this.isListening;
+        this.hitRecordBtn.classList.remove('recording');
+        this.hitStopBtn.disabled = true;
+
+        if (recording.hits.length === 0) {
+            this.setPerformanceStatus('No hits were recorded.');
+            this.replayBtn.disabled = !this.lastPerformance || !this.isListening;
+            return;
+        }
+
+        this.setLastPerformance({
+            format: 'shaki-spoons-performance',
+            version: 1,
+            recordedAt: new Date(recording.startedAt).toISOString(),
+            duration: Date.now() - recording.startedAt,
+            hits: recording.hits
+        });
+        console.log(`⏹️ Hit recording stopped: ${recording.hits.length} hits`);
+    }
+
+    setLastPerformance(performance) {
+        this.lastPerformance = performance;
+        this.replayBtn.disabled = !this.isListening;
+        this.exportPerformanceBtn.disabled = false;
+        this.renderPerformanceBtn.disabled = false;
+        this.setPerformanceStatus(`🎼 ${performance.hits.length} hits, ${(performance.duration / 1000).toFixed(1)}s - ready to replay`);
+    }
+
+    setPerformanceStatus(message) {
+        if (this.performanceStatus) this.performanceStatus.textContent = message;
+    }
+
+    // Re-drive playSpoonSound from a recorded performance on the audio clock
+    replayPerformance(performance) {
+        if (!performance) return;
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            this.setPerformanceStatus('ℹ️ Start the Sound App to replay.');
+            return;
+        }
+
+        this.stopReplay();
+        this.stopHitRecording();
+        this.sampleRoundRobin = {};
+
+        const scheduleAhead = 0.1; // seconds of hits to schedule per tick
+        const replay = {
+            startTime: this.audioContext.currentTime + 0.1,
+            index: 0,
+            timer: null,
+            skipped: 0
+        };
+
+        const tick = () => {
+            if (!this.audioContext) {
+                this.stopReplay();
+                return;
+            }
+            const hits = performance.hits;
+            while (replay.index < hits.length) {
+                const hit = hits[replay.index];
+                const time = replay.startTime + hit.t / 1000;
+                if (time > this.audioContext.currentTime + scheduleAhead) break;
+
+                if (this.sounds[hit.sound]) {
+                    this.playSpoonSound({ ...hit, time });
+                    this.scheduleSpoonAnimation(hit.intensity, time);
+                } else {
+                    replay.skipped++;
+                }
+                replay.index++;
+            }
+
+            const endTime = replay.startTime + performance.duration / 1000;
+            if (replay.index >= hits.length && this.audioContext.currentTime >= endTime) {
+                this.stopReplay();
+                if (replay.skipped > 0) {
+                    this.setPerformanceStatus(`⚠️ Replay done - ${replay.skipped} hit(s) used a spoon that isn't available here`);
+                }
+            }
+        };
+
+        this.replay = replay;
+        replay.timer = setInterval(tick, 25);
+        tick();
+
+        this.replayBtn.disabled = true;
+        this.hitRecordBtn.disabled = true;
+        this.hitStopBtn.disabled = false;
+        this.setPerformanceStatus(`▶️ Replaying ${performance.hits.length} hits...`);
+        console.log('▶️ Replay started');
+    }
+
+    stopReplay() {
+        const replay = this.replay;
+        if (!replay) return;
+        this.replay = null;
+
+        clearInterval(replay.timer);
+        this.hitRecordBtn.disabled = !this.isListening;
+        this.hitStopBtn.disabled = true;
+        if (this.lastPerformance) {
+            this.setLastPerformance(this.lastPerformance);
+        }
+        console.log('⏹️ Replay stopped');
+    }
+
+    // Run the spoon animation when a scheduled hit actually sounds
+    scheduleSpoonAnimation(intensity, time) {
+        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+        setTimeout(() => this.animateSpoon(intensity), delay);
+    }
+
+    exportPerformance(performance) {
+        if (!performance) return;
+        const json = JSON.stringify(performance, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        this.downloadBlob(blob, `shaki-spoons-performance-${this.getTimestampForFilename()}.json`);
+    }
+
+    async importPerformanceFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const performance = this.validatePerformance(data);
+            this.setLastPerformance(performance);
+            const skipped = data.hits.length - performance.hits.length;
+            if (skipped > 0) {
+                this.setPerformanceStatus(`⚠️ Imported ${performance.hits.length} hits - ${skipped} with unusable numbers were skipped`);
+            }
+            console.log(`📂 Imported performance with ${performance.hits.length} hits`);
+        } catch (error) {
+            console.error('Error importing performance:', error);
+            this.setPerformanceStatus(`❌ Could not import performance: ${error.message}`);
+        }
+    }
+
+    // Render a performance (or a bare hit list) through the current sounds and
+    // effects into an OfflineAudioContext - faster than real time, no device needed
+    async renderPerformance(performance, options = {}) {
+        const data = Array.isArray(performance)
+            ? { format: 'shaki-spoons-performance', version: 1, hits: performance }
+            : performance;
+        const validated = this.validatePerformance(data);
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('Offline rendering is not supported in this browser');
+        }
+
+        const sampleRate = options.sampleRate || (this.audioContext ? this.audioContext.sampleRate : 44100);
+        const tail = options.tail !== undefined ? options.tail : 2.0; // seconds for delay/reverb to ring out
+        const length = Math.ceil((validated.duration / 1000 + tail) * sampleRate);
+        const offlineContext = new OfflineContext(options.channels || 2, length, sampleRate);
+
+        // The render gets its own bus and voice target, so the live app is never touched
+        const target = {
+            context: offlineContext,
+            bus: this.createEffectsBus(offlineContext),
+            roundRobin: {},
+            instances: []
+        };
+        let skipped = 0;
+        validated.hits.forEach(hit => {
+            if (this.sounds[hit.sound]) {
+                this.synthesizeHit({ ...hit, time: hit.t / 1000 }, target);
+            } else {
+                skipped++;
+            }
+        });
+
+        if (skipped > 0) {
+            console.warn(`⚠️ ${skipped} hit(s) skipped during render - unknown spoon`);
+        }
+
+        const rendered = await offlineContext.startRendering();
+        console.log(`🎚️ Rendered ${validated.hits.length} hits to ${rendered.duration.toFixed(1)}s of audio`);
+        return rendered;
+    }
+
+    async renderPerformanceToWav(performance, options = {}) {
+        const rendered = await this.renderPerformance(performance, options);
+        const channels = Array.from({ length: rendered.numberOfChannels }, (_, i) => rendered.getChannelData(i));
+        return this.encodeWav(channels, rendered.sampleRate, options.bitDepth || 16);
+    }
+
+    async downloadRenderedPerformance(performance) {
+        if (!performance) return;
+        this.renderPerformanceBtn.disabled = true;
+        this.setPerformanceStatus('⏳ Rendering...');
+        try {
+            const bitDepth = parseInt(this.recordBitDepth.value, 10) === 24 ? 24 : 16;
+            const wav = await this.renderPerformanceToWav(performance, { bitDepth });
+            this.downloadBlob(wav, `shaki-spoons-render-${this.getTimestampForFilename()}.wav`);
+            this.setPerformanceStatus(`✅ Rendered ${performance.hits.length} hits to WAV`);
+        } catch (error) {
+            console.error('Error rendering performance:', error);
+            this.setPerformanceStatus(`❌ Render failed: ${error.message}`);
+        } finally {
+            this.renderPerformanceBtn.disabled = false;
+        }
+    }
+
+    // Build a performance from a step pattern, e.g. for demo loops:
+    // { steps: ['strong', null, 'light', 'medium'], bpm: 120, stepsPerBeat: 4, repeats: 4, sound, tempo }
+    createPatternPerformance(pattern) {
+        const bpm = pattern.bpm || 120;
+        const stepsPerBeat = pattern.stepsPerBeat || 4;
+        const repeats = pattern.repeats || 1;
+        const stepMs = 60000 / bpm / stepsPerBeat;
+        const seedSource = this.createSeededRandom(pattern.seed !== undefined ? this.parseSeed(pattern.seed) : this.nextHitSeed());
+
+        const hits = [];
+        for (let r = 0; r < repeats; r++) {
+            pattern.steps.forEach((intensity, i) => {
+                if (!intensity) return;
+                hits.push({
+                    t: (r * pattern.steps.length + i) * stepMs,
+                    sound: pattern.sound || this.currentSound,
+                    intensity,
+                    tempo: pattern.tempo !== undefined ? pattern.tempo : this.tempo,
+                    seed: Math.floor(seedSource() * 4294967296)
+                });
+            });
+        }
+
+        return {
+            format: 'shaki-spoons-performance',
+            version: 1,
+            recordedAt: null,
+            duration: repeats * pattern.steps.length * stepMs,
+            hits
+        };
+    }
+
+    validatePerformance(data) {
+        if (!data || data.format !== 'shaki-spoons-performance') {
+            throw new Error('not a Shaki Spoons performance file');
+        }
+        if (data.version > 1) {
+            throw new Error(`file is version ${data.version}, this app reads version 1`);
+        }
+        if (!Array.isArray(data.hits)) {
+            throw new Error('missing hit list');
+        }
+
+        const intensities = ['light', 'medium', 'strong'];
+        const isOptionalNumber = (value) => value === undefined || Number.isFinite(value);
+        const hits = [];
+        data.hits.forEach((hit, i) => {
+            if (!hit || typeof hit.t !== 'number' || typeof hit.sound !== 'string' || !intensities.includes(hit.intensity)) {
+                throw new Error(`hit ${i + 1} is malformed`);
+            }
+            // NaN/Infinity would throw deep in the audio scheduling, so only that hit is dropped
+            if (!Number.isFinite(hit.t) || !isOptionalNumber(hit.velocity) || !isOptionalNumber(hit.tempo) ||
+                (hit.tempo !== undefined && hit.tempo <= 0)) {
+                console.warn(`⚠️ Skipping hit ${i + 1}: time, velocity or tempo is not a usable number`);
+                return;
+            }
+            // Older files have no velocity; the intensity's anchor stands in
+            const velocity = hit.velocity !== undefined
+                ? Math.max(0, Math.min(1, hit.velocity))
+                : this.getVelocityForIntensity(hit.intensity);
+            hits.push({
+                t: Math.max(0, hit.t),
+                sound: hit.sound,
+                intensity: hit.intensity,
+                velocity,
+                stroke: this.strokeVoicings[hit.stroke] ? hit.stroke : undefined,
+                burst: hit.burst === true ? true : undefined,
+                rhythm: hit.rhythm || { isFastRhythm: false, avgTimeBetween: 1000, intensity: hit.intensity, shakeCount: 0 },
+                tempo: hit.tempo !== undefined ? hit.tempo : 1.0,
+                seed: typeof hit.seed === 'number' ? hit.seed >>> 0 : i
+            });
+        });
+        hits.sort((a, b) => a.t - b.t);
+
+        const lastHit = hits.length > 0 ? hits[hits.length - 1].t : 0;
+        return {
+            format: data.format,
+            version: 1,
+            recordedAt: data.recordedAt || null,
+            duration: Math.max(Number.isFinite(data.duration) ? data.duration : 0, lastHit + 500),
+            hits
+        };
+    }
+
+    setupMetronomeControls() {
+        const toggle = document.getElementById('metronomeToggle');
+        if (!toggle) return;
+
+        toggle.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.startMetronome();
+            } else {
+                this.stopMetronome();
+            }
+        });
+
+        document.getElementById('metronomeBpm').addEventListener('input', (e) => {
+            this.metronome.bpm = parseInt(e.target.value, 10);
+            this.updateMetronomeDisplay();
+        });
+
+        document.getElementById('metronomeSignature').addEventListener('change', (e) => {
+            this.metronome.beatsPerBar = parseInt(e.target.value, 10);
+            this.metronome.beat = 0;
+            this.renderMetronomeBeats();
+        });
+
+        document.getElementById('metronomeVolume').addEventListener('input', (e) => {
+            this.metronome.volume = parseFloat(e.target.value);
+            document.getElementById('metronomeVolumeValue').textContent = Math.round(this.metronome.volume * 100) + '%';
+            if (this.metronome.gain) {
+                this.metronome.gain.gain.setTargetAtTime(this.metronome.volume, this.audioContext.currentTime, 0.02);
+            }
+        });
+
+        this.renderMetronomeBeats();
+        this.updateMetronomeDisplay();
+    }
+
+    // Metronome BPM follows the Playing Tempo multiplier
+    getBpm() {
+        return Math.max(30, Math.min(300, this.metronome.bpm * this.tempo));
+    }
+
+    startMetronome() {
+        const metronome = this.metronome;
+        metronome.enabled = true;
+
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            this.updateMetronomeDisplay('starts with the Sound App');
+            return;
+        }
+        if (metronome.timer) return;
+
+        // Click goes straight to the speaker: no effects, and not on recordings
+        metronome.gain = this.audioContext.createGain();
+        metronome.gain.gain.value = metronome.volume;
+        metronome.gain.connect(this.audioContext.destination);
+
+        metronome.beat = 0;
+        metronome.nextBeatTime = this.audioContext.currentTime + 0.05;
+        metronome.timer = setInterval(() => this.scheduleMetronome(), 25);
+        this.scheduleMetronome();
+        this.updateMetronomeDisplay();
+        console.log(`🥁 Metronome started at ${Math.round(this.getBpm())} BPM`);
+    }
+
+    stopMetronome(keepEnabled = false) {
+        const metronome = this.metronome;
+        metronome.enabled = keepEnabled && metronome.enabled;
+
+        clearInterval(metronome.timer);
+        metronome.timer = null;
+        metronome.lastBeatTime = null;
+        if (metronome.gain) {
+            try {
+                metronome.gain.disconnect();
+            } catch (error) {
+                // Context may already be closed
+            }
+            metronome.gain = null;
+        }
+        document.querySelectorAll('.metronome-beat').forEach(el => el.classList.remove('active'));
+        this.updateMetronomeDisplay();
+    }
 
-        // Add to DOM
-        document.body.appendChild(ultimateToast);
+    // Look-ahead scheduler: queue every click that falls in the next 100ms
+    scheduleMetronome() {
+        const metronome = this.metronome;
+        if (!this.audioContext) return;
 
-        // Animate in
+        // After the timer was throttled (background tab) skip the beats that are already
+        // in the past instead of firing them as a burst, staying on the same beat grid
+        const now = this.audioContext.currentTime;
+        if (metronome.nextBeatTime < now) {
+            const beatLength = 60 / this.getBpm();
+            const missed = Math.ceil((now - metronome.nextBeatTime) / beatLength);
+            metronome.nextBeatTime += missed * beatLength;
+            metronome.beat = (metronome.beat + missed) % metronome.beatsPerBar;
+        }
+
+        while (metronome.nextBeatTime < now + 0.1) {
+            this.playMetronomeClick(metronome.nextBeatTime, metronome.beat === 0);
+            this.scheduleBeatIndicator(metronome.beat, metronome.nextBeatTime);
+
+            metronome.lastBeatTime = metronome.nextBeatTime;
+            metronome.nextBeatTime += 60 / this.getBpm();
+            metronome.beat = (metronome.beat + 1) % metronome.beatsPerBar;
+        }
+    }
+
+    playMetronomeClick(time, accent) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        // Downbeat is higher and louder
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(accent ? 1600 : 1000, time);
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(accent ? 1.0 : 0.6, time + 0.001);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.03);
+
+        osc.connect(gain);
+        gain.connect(this.metronome.gain);
+        osc.start(time);
+        osc.stop(time + 0.03);
+    }
+
+    scheduleBeatIndicator(beat, time) {
+        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
         setTimeout(() => {
-            ultimateToast.style.transform = 'translate(-50%, -50%) scale(1)';
-        }, 10);
+            document.querySelectorAll('.metronome-beat').forEach((el, i) => {
+                el.classList.toggle('active', i === beat);
+            });
+        }, delay);
+    }
 
-        // Remove after delay
+    renderMetronomeBeats() {
+        const beats = document.getElementById('metronomeBeats');
+        if (!beats) return;
+        beats.innerHTML = '';
+        for (let i = 0; i < this.metronome.beatsPerBar; i++) {
+            const dot = document.createElement('span');
+            dot.className = i === 0 ? 'metronome-beat downbeat' : 'metronome-beat';
+            beats.appendChild(dot);
+        }
+    }
+
+    updateMetronomeDisplay(note = '') {
+        const bpmValue = document.getElementById('metronomeBpmValue');
+        if (!bpmValue) return;
+        const tempoInfo = this.tempo !== 1 ? ` (${this.metronome.bpm} × ${this.tempo.toFixed(1)}x)` : '';
+        bpmValue.textContent = `${Math.round(this.getBpm())} BPM${tempoInfo}${note ? ' - ' + note : ''}`;
+    }
+
+    setupQuantizeControls() {
+        const toggle = document.getElementById('quantizeToggle');
+        if (!toggle) return;
+
+        toggle.addEventListener('change', (e) => {
+            this.quantize.enabled = e.target.checked;
+            this.quantize.gridOrigin = null;
+        });
+
+        document.getElementById('quantizeGrid').addEventListener('change', (e) => {
+            this.quantize.subdivision = e.target.value;
+        });
+
+        document.getElementById('quantizeStrength').addEventListener('input', (e) => {
+            this.quantize.strength = parseFloat(e.target.value);
+            document.getElementById('quantizeStrengthValue').textContent = Math.round(this.quantize.strength * 100) + '%';
+        });
+
+        document.getElementById('quantizeLookAhead').addEventListener('input', (e) => {
+            this.quantize.lookAhead = parseFloat(e.target.value);
+            document.getElementById('quantizeLookAheadValue').textContent = Math.round(this.quantize.lookAhead * 1000) + 'ms';
+        });
+    }
+
+    getQuantizeStepsPerBeat() {
+        return { '8th': 2, '16th': 4, 'triplet': 3 }[this.quantize.subdivision] || 4;
+    }
+
+    // How long to hold back a live hit so it lands on the grid (seconds, 0 = play now).
+    // We can't play in the past, so hits just after a grid line play immediately.
+    getQuantizeDelay() {
+        const quantize = this.quantize;
+        if (!quantize.enabled || !this.audioContext || this.audioContext.state !== 'running') return 0;
+
+        const now = this.audioContext.currentTime;
+        const step = 60 / this.getBpm() / this.getQuantizeStepsPerBeat();
+
+        // Lock to the metronome when it's running, otherwise the first hit defines the grid
+        let origin = this.metronome.lastBeatTime;
+        if (origin === null) {
+            if (quantize.gridOrigin === null) quantize.gridOrigin = now;
+            origin = quantize.gridOrigin;
+        }
+
+        const nextGrid = origin + Math.ceil((now - origin) / step) * step;
+        const previousGrid = nextGrid - step;
+        if (now - previousGrid < nextGrid - now) return 0;
+
+        const wait = nextGrid - now;
+        if (wait > quantize.lookAhead) return 0;
+        return wait * quantize.strength;
+    }
+
+    setupSequencer() {
+        const grid = document.getElementById('sequencerGrid');
+        if (!grid) return;
+
+        this.renderSequencerGrid();
+        this.refreshSequencerPatternList();
+
+        document.getElementById('sequencerPlayBtn').addEventListener('click', () => this.startSequencer());
+        document.getElementById('sequencerStopBtn').addEventListener('click', () => this.stopSequencer());
+        document.getElementById('sequencerClearBtn').addEventListener('click', () => {
+            this.sequencer.pattern = this.createEmptySequencerPattern();
+            this.renderSequencerGrid();
+        });
+        document.getElementById('sequencerSaveBtn').addEventListener('click', () => {
+            const name = document.getElementById('sequencerPatternName').value.trim();
+            this.saveSequencerPattern(name);
+        });
+        document.getElementById('sequencerLoadBtn').addEventListener('click', () => {
+            const name = document.getElementById('sequencerPatternSelect').value;
+            if (name) this.loadSequencerPattern(name);
+        });
+        document.getElementById('sequencerDeleteBtn').addEventListener('click', () => {
+            const name = document.getElementById('sequencerPatternSelect').value;
+            if (name) this.deleteSequencerPattern(name);
+        });
+    }
+
+    createEmptySequencerPattern() {
+        const pattern = {};
+        this.sequencer.rows.forEach(sound => {
+            pattern[sound] = new Array(this.sequencer.steps).fill(null);
+        });
+        return pattern;
+    }
+
+    renderSequencerGrid() {
+        const grid = document.getElementById('sequencerGrid');
+        if (!grid) return;
+        grid.innerHTML = '';
+
+        this.sequencer.rows.forEach(sound => {
+            const row = document.createElement('div');
+            row.className = 'sequencer-row';
+
+            const label = document.createElement('span');
+            label.className = 'sequencer-label';
+            label.textContent = this.sounds[sound].name.replace(' Spoon', '');
+            row.appendChild(label);
+
+            this.sequencer.pattern[sound].forEach((velocity, step) => {
+                const cell = document.createElement('button');
+                cell.className = 'sequencer-step';
+                if (step % 4 === 0) cell.classList.add('beat-start');
+                if (velocity) cell.classList.add(`step-${velocity}`);
+                cell.dataset.step = step;
+                cell.title = velocity || 'off';
+                cell.addEventListener('click', () => this.cycleSequencerStep(sound, step, cell));
+                row.appendChild(cell);
+            });
+
+            grid.appendChild(row);
+        });
+    }
+
+    // off → light → medium → strong → off
+    cycleSequencerStep(sound, step, cell) {
+        const order = [null, 'light', 'medium', 'strong'];
+        const current = this.sequencer.pattern[sound][step];
+        const next = order[(order.indexOf(current) + 1) % order.length];
+        this.sequencer.pattern[sound][step] = next;
+
+        cell.classList.remove('step-light', 'step-medium', 'step-strong');
+        if (next) cell.classList.add(`step-${next}`);
+        cell.title = next || 'off';
+    }
+
+    startSequencer() {
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            this.setSequencerStatus('ℹ️ Start the Sound App to play the pattern.');
+            return;
+        }
+        const sequencer = this.sequencer;
+        if (sequencer.timer) return;
+
+        // Start on the metronome's next beat so the two line up
+        sequencer.currentStep = 0;
+        sequencer.nextStepTime = this.metronome.timer
+            ? this.metronome.nextBeatTime
+            : this.audioContext.currentTime + 0.05;
+        sequencer.timer = setInterval(() => this.scheduleSequencer(), 25);
+        this.scheduleSequencer();
+
+        document.getElementById('sequencerPlayBtn').disabled = true;
+        document.getElementById('sequencerStopBtn').disabled = false;
+        this.setSequencerStatus('▶️ Looping pattern - shake along!');
+        console.log('🎹 Sequencer started');
+    }
+
+    stopSequencer() {
+        const sequencer = this.sequencer;
+        if (!sequencer.timer) return;
+
+        clearInterval(sequencer.timer);
+        sequencer.timer = null;
+        document.querySelectorAll('.sequencer-step.playing').forEach(el => el.classList.remove('playing'));
+        document.getElementById('sequencerPlayBtn').disabled = false;
+        document.getElementById('sequencerStopBtn').disabled = true;
+        this.setSequencerStatus('');
+        console.log('⏹️ Sequencer stopped');
+    }
+
+    // Look-ahead scheduler, one 16th note per step
+    scheduleSequencer() {
+        const sequencer = this.sequencer;
+        if (!this.audioContext) return;
+
+        while (sequencer.nextStepTime < this.audioContext.currentTime + 0.1) {
+            const step = sequencer.currentStep;
+            const stepDuration = 60 / this.getBpm() / 4;
+
+            sequencer.rows.forEach(sound => {
+                const intensity = sequencer.pattern[sound][step];
+                if (!intensity || !this.sounds[sound]) return;
+                this.playSpoonSound({
+                    sound,
+                    intensity,
+                    time: sequencer.nextStepTime,
+                    tempo: this.tempo,
+                    rhythm: { isFastRhythm: false, avgTimeBetween: stepDuration * 1000, intensity, shakeCount: 0 },
+                    seed: this.nextHitSeed()
+                });
+            });
+            this.scheduleSequencerPlayhead(step, sequencer.nextStepTime);
+
+            sequencer.nextStepTime += stepDuration;
+            sequencer.currentStep = (step + 1) % sequencer.steps;
+        }
+    }
+
+    scheduleSequencerPlayhead(step, time) {
+        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
         setTimeout(() => {
-            ultimateToast.style.transform = 'translate(-50%, -50%) scale(0)';
-            setTimeout(() => {
-                if (ultimateToast.parentNode) {
-                    ultimateToast.parentNode.removeChild(ultimateToast);
-                }
-                if (style.parentNode) {
-                    style.parentNode.removeChild(style);
-                }
-            }, 500);
-        }, 5000);
+            if (!this.sequencer.timer) return;
+            document.querySelectorAll('.sequencer-step').forEach(el => {
+                el.classList.toggle('playing', parseInt(el.dataset.step, 10) === step);
+            });
+        }, delay);
+    }
 
-        // Apply bonus effect (10% more magical effects)
-        this.applyEasterEggBonus();
+    setSequencerStatus(message) {
+        const status = document.getElementById('sequencerStatus');
+        if (status) status.textContent = message;
     }
 
-    applyEasterEggBonus() {
-        // Boost all effect parameters by 10% for a magical feel
-        this.effects.dubDelay.feedback *= 1.1;
-        this.effects.dubDelay.wetDryMix *= 1.1;
-        this.effects.overdrive.drive *= 1.1;
-        this.effects.overdrive.tone *= 1.1;
-        this.effects.overdrive.wetDryMix *= 1.1;
-        this.effects.reverb.roomSize *= 1.1;
-        this.effects.reverb.decay *= 1.1;
-        this.effects.reverb.wetDryMix *= 1.1;
-        
-        // Update the effects chain
-        this.updateEffectsChain();
-        
-        console.log('✨ Easter Egg Bonus Applied: All effects are now 10% more magical! ✨');
+    getSavedSequencerPatterns() {
+        try {
+            return JSON.parse(localStorage.getItem('shakiSpoons.sequencerPatterns')) || {};
+        } catch (error) {
+            console.warn('⚠️ Saved sequencer patterns are unreadable:', error);
+            return {};
+        }
     }
 
-    updateEffectsChain() {
-        // Effects chain parameters are now applied when each sound is created
-        // This method is kept for compatibility but doesn't need to do anything
-        // since we create fresh effects chains for each sound
+    saveSequencerPattern(name) {
+        if (!name) {
+            this.setSequencerStatus('❌ Give the pattern a name first.');
+            return;
+        }
+        const patterns = this.getSavedSequencerPatterns();
+        patterns[name] = {
+            steps: this.sequencer.steps,
+            pattern: JSON.parse(JSON.stringify(this.sequencer.pattern)),
+            savedAt: Date.now()
+        };
+        try {
+            localStorage.setItem('shakiSpoons.sequencerPatterns', JSON.stringify(patterns));
+        } catch (error) {
+            // Full quota or storage disabled (e.g. Safari private mode)
+            console.error('Error saving sequencer pattern:', error);
+            this.setSequencerStatus(`❌ Could not save "${name}" - browser storage is full or unavailable.`);
+            return;
+        }
+        this.refreshSequencerPatternList(name);
+        this.setSequencerStatus(`💾 Saved "${name}"`);
     }
 
-    setupOrientationControls() {
-        // Check if device orientation is supported
-        if (!window.DeviceOrientationEvent) {
-            console.log('❌ Device orientation not supported');
+    loadSequencerPattern(name) {
+        const saved = this.getSavedSequencerPatterns()[name];
+        if (!saved) return;
+
+        // Rows or steps missing from the saved pattern start empty
+        const pattern = this.createEmptySequencerPattern();
+        this.sequencer.rows.forEach(sound => {
+            const row = (saved.pattern && saved.pattern[sound]) || [];
+            for (let i = 0; i < this.sequencer.steps; i++) {
+                pattern[sound][i] = ['light', 'medium', 'strong'].includes(row[i]) ? row[i] : null;
+            }
+        });
+        this.sequencer.pattern = pattern;
+        this.renderSequencerGrid();
+        document.getElementById('sequencerPatternName').value = name;
+        this.setSequencerStatus(`📂 Loaded "${name}"`);
+    }
+
+    deleteSequencerPattern(name) {
+        const patterns = this.getSavedSequencerPatterns();
+        delete patterns[name];
+        try {
+            localStorage.setItem('shakiSpoons.sequencerPatterns', JSON.stringify(patterns));
+        } catch (error) {
+            console.error('Error deleting sequencer pattern:', error);
+            this.setSequencerStatus(`❌ Could not delete "${name}" - browser storage is unavailable.`);
+            return;
+        }
+        this.refreshSequencerPatternList();
+        this.setSequencerStatus(`🗑️ Deleted "${name}"`);
+    }
+
+    refreshSequencerPatternList(selected = '') {
+        const select = document.getElementById('sequencerPatternSelect');
+        if (!select) return;
+        const names = Object.keys(this.getSavedSequencerPatterns()).sort();
+        select.innerHTML = '<option value="">Saved patterns…</option>';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === selected;
+            select.appendChild(option);
+        });
+    }
+
+    setupLooperControls() {
+        const recordBtn = document.getElementById('looperRecordBtn');
+        if (!recordBtn) return;
+
+        recordBtn.addEventListener('click', () => this.startLoopRecording());
+        document.getElementById('looperOverdubBtn').addEventListener('click', () => this.toggleOverdub());
+        document.getElementById('looperUndoBtn').addEventListener('click', () => this.undoLoopLayer());
+        document.getElementById('looperClearBtn').addEventListener('click', () => this.clearLoop());
+        document.getElementById('looperBars').addEventListener('change', (e) => {
+            this.looper.bars = parseInt(e.target.value, 10);
+        });
+
+        this.updateLooperControls();
+    }
+
+    // First pass: record N bars of hits, then loop them
+    startLoopRecording() {
+        if (!this.audioContext || this.audioContext.state !== 'running') {
+            this.setLooperStatus('ℹ️ Start the Sound App to record a loop.');
+            return;
+        }
+        if (this.looper.state !== 'idle') return;
+
+        const looper = this.looper;
+        const beatLength = 60 / this.getBpm();
+        looper.loopLength = looper.bars * this.metronome.beatsPerBar * beatLength;
+
+        // Line the loop up with the metronome's next downbeat when it's running
+        if (this.metronome.timer) {
+            const beatsToDownbeat = (this.metronome.beatsPerBar - this.metronome.beat) % this.metronome.beatsPerBar;
+            looper.loopStart = this.metronome.nextBeatTime + beatsToDownbeat * beatLength;
+        } else {
+            looper.loopStart = this.audioContext.currentTime;
+        }
+
+        looper.layers = [[]];
+        looper.state = 'recording';
+        looper.scheduledUntil = looper.loopStart;
+        looper.timer = setInterval(() => this.scheduleLooper(), 25);
+
+        this.updateLooperControls();
+        console.log(`🔁 Loop recording: ${looper.bars} bar(s), ${looper.loopLength.toFixed(2)}s`);
+    }
+
+    toggleOverdub() {
+        const looper = this.looper;
+        if (looper.state === 'playing') {
+            looper.layers.push([]);
+            looper.state = 'overdubbing';
+        } else if (looper.state === 'overdubbing') {
+            // An overdub pass with no hits isn't worth an undo step
+            if (looper.layers[looper.layers.length - 1].length === 0) {
+                looper.layers.pop();
+            }
+            looper.state = 'playing';
+        }
+        this.updateLooperControls();
+    }
+
+    undoLoopLayer() {
+        const looper = this.looper;
+        if (looper.state === 'idle') return;
+
+        looper.layers.pop();
+        if (looper.layers.length === 0) {
+            this.clearLoop();
             return;
         }
+        looper.state = 'playing';
+        this.updateLooperControls();
+    }
+
+    clearLoop() {
+        const looper = this.looper;
+        clearInterval(looper.timer);
+        looper.timer = null;
+        looper.layers = [];
+        looper.state = 'idle';
+        this.updateLooperControls();
+    }
+
+    // Called for every live hit from triggerSound
+    captureLoopHit(hit) {
+        const looper = this.looper;
+        if (looper.state !== 'recording' && looper.state !== 'overdubbing') return;
+
+        const time = hit.time !== undefined ? hit.time : this.audioContext.currentTime;
+        const position = time - looper.loopStart;
+        const offset = ((position % looper.loopLength) + looper.loopLength) % looper.loopLength;
+
+        looper.layers[looper.layers.length - 1].push({
+            offset,
+            // The player already heard this pass live, so don't repeat it in the same cycle
+            recordedCycle: Math.floor(position / looper.loopLength),
+            sound: hit.sound,
+            intensity: hit.intensity,
+            velocity: hit.velocity,
+            stroke: hit.stroke,
+            burst: hit.burst,
+            rhythm: hit.rhythm,
+            tempo: hit.tempo,
+            seed: hit.seed
+        });
+        this.updateLooperControls();
+    }
+
+    // Look-ahead scheduler over every layer, cycle by cycle
+    scheduleLooper() {
+        const looper = this.looper;
+        if (!this.audioContext) return;
+
+        const now = this.audioContext.currentTime;
+        if (looper.state === 'recording' && now >= looper.loopStart + looper.loopLength) {
+            looper.state = 'playing';
+            this.updateLooperControls();
+        }
+
+        const from = looper.scheduledUntil;
+        const to = now + 0.1;
+        if (to <= from) return;
+
+        const firstCycle = Math.floor((from - looper.loopStart) / looper.loopLength);
+        const lastCycle = Math.floor((to - looper.loopStart) / looper.loopLength);
+        for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+            const cycleStart = looper.loopStart + cycle * looper.loopLength;
+            looper.layers.forEach(layer => {
+                layer.forEach(hit => {
+                    const time = cycleStart + hit.offset;
+                    if (time < from || time >= to || hit.recordedCycle === cycle) return;
+                    if (!this.sounds[hit.sound]) return;
+                    this.playSpoonSound({ ...hit, time });
+                    this.scheduleSpoonAnimation(hit.intensity, time);
+                });
+            });
+        }
+        looper.scheduledUntil = to;
+    }
+
+    updateLooperControls() {
+        const recordBtn = document.getElementById('looperRecordBtn');
+        if (!recordBtn) return;
+        const looper = this.looper;
+
+        recordBtn.disabled = looper.state !== 'idle';
+        recordBtn.classList.toggle('recording', looper.state === 'recording');
+        const overdubBtn = document.getElementById('looperOverdubBtn');
+        overdubBtn.disabled = looper.state !== 'playing' && looper.state !== 'overdubbing';
+        overdubBtn.classList.toggle('recording', looper.state === 'overdubbing');
+        overdubBtn.textContent = looper.state === 'overdubbing' ? '■ End Overdub' : '+ Overdub';
+        document.getElementById('looperUndoBtn').disabled = looper.state === 'idle';
+        document.getElementById('looperClearBtn').disabled = looper.state === 'idle';
+        document.getElementById('looperBars').disabled = looper.state !== 'idle';
+
+        const hits = looper.layers.reduce((sum, layer) => sum + layer.length, 0);
+        const messages = {
+            idle: 'No loop yet - press Record Loop and shake.',
+            recording: `⏺️ Recording ${looper.bars} bar(s)... ${hits} hit(s)`,
+            playing: `🔁 Looping ${looper.layers.length} layer(s), ${hits} hit(s)`,
+            overdubbing: `⏺️ Overdubbing layer ${looper.layers.length}... ${hits} hit(s) total`
+        };
+        this.setLooperStatus(messages[looper.state]);
+    }
+
+    setLooperStatus(message) {
+        const status = document.getElementById('looperStatus');
+        if (status) status.textContent = message;
+    }
+
+    setupMidiControls() {
+        const outputToggle = document.getElementById('midiOutputToggle');
+        const inputToggle = document.getElementById('midiInputToggle');
+        if (!outputToggle) return;
+
+        if (!navigator.requestMIDIAccess) {
+            this.setMidiStatus('Web MIDI is not supported in this browser.');
+            outputToggle.disabled = true;
+            inputToggle.disabled = true;
+            return;
+        }
+
+        outputToggle.addEventListener('change', async (e) => {
+            this.midi.outputEnabled = e.target.checked;
+            if (this.midi.outputEnabled) {
+                const access = await this.requestMidiAccess();
+                if (!access) {
+                    this.midi.outputEnabled = false;
+                    e.target.checked = false;
+                }
+            }
+        });
+
+        document.getElementById('midiOutputSelect').addEventListener('change', (e) => {
+            this.midi.outputId = e.target.value || null;
+        });
+
+        document.getElementById('midiChannel').addEventListener('change', (e) => {
+            this.midi.channel = parseInt(e.target.value, 10);
+        });
+
+        inputToggle.addEventListener('change', async (e) => {
+            this.midi.inputEnabled = e.target.checked;
+            if (this.midi.inputEnabled && !(await this.requestMidiAccess())) {
+                this.midi.inputEnabled = false;
+                e.target.checked = false;
+            }
+            this.connectMidiInput();
+        });
+
+        document.getElementById('midiInputSelect').addEventListener('change', (e) => {
+            this.midi.inputId = e.target.value || null;
+            this.connectMidiInput();
+        });
+
+        this.renderMidiNoteMap();
+        this.renderMidiCcMap();
+    }
+
+    // Ask for MIDI access once; later calls reuse it
+    async requestMidiAccess() {
+        if (this.midi.access) return this.midi.access;
+        try {
+            this.midi.access = await navigator.requestMIDIAccess();
+            this.midi.access.addEventListener('statechange', () => this.refreshMidiPorts());
+            this.refreshMidiPorts();
+            console.log('🎹 MIDI access granted');
+            return this.midi.access;
+        } catch (error) {
+            console.error('Error requesting MIDI access:', error);
+            this.setMidiStatus('❌ MIDI access was denied.');
+            return null;
+        }
+    }
+
+    refreshMidiPorts() {
+        const access = this.midi.access;
+        if (!access) return;
+
+        const outputs = Array.from(access.outputs.values());
+        const inputs = Array.from(access.inputs.values());
+        this.midi.outputId = this.fillMidiPortSelect('midiOutputSelect', outputs, this.midi.outputId);
+        this.midi.inputId = this.fillMidiPortSelect('midiInputSelect', inputs, this.midi.inputId);
+        this.connectMidiInput();
+
+        this.setMidiStatus(outputs.length + inputs.length > 0
+            ? `🎹 ${inputs.length} MIDI input(s), ${outputs.length} output(s) available`
+            : 'No MIDI ports found - connect a device or virtual port.');
+    }
+
+    // Returns the port id that ends up selected
+    fillMidiPortSelect(selectId, ports, currentId) {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        ports.forEach(port => {
+            const option = document.createElement('option');
+            option.value = port.id;
+            option.textContent = port.name;
+            select.appendChild(option);
+        });
+
+        // Keep the chosen port if it's still there, otherwise take the first one
+        const id = ports.some(port => port.id === currentId)
+            ? currentId
+            : (ports.length > 0 ? ports[0].id : null);
+        select.value = id || '';
+        return id;
+    }
+
+    connectMidiInput() {
+        const midi = this.midi;
+        const input = midi.inputEnabled && midi.access && midi.inputId
+            ? midi.access.inputs.get(midi.inputId)
+            : null;
+        if (input === midi.input) return;
+
+        if (midi.input) {
+            midi.input.onmidimessage = null;
+        }
+        midi.input = input || null;
+        if (midi.input) {
+            midi.input.onmidimessage = (e) => this.handleMidiMessage(e.data);
+            console.log(`🎹 Listening to MIDI input: ${midi.input.name}`);
+        }
+    }
+
+    handleMidiMessage(data) {
+        const command = data[0] & 0xf0;
+        const value = data.length > 2 ? data[2] : 0;
+
+        if (command === 0x90 && value > 0) {
+            this.handleMidiNote(data[1], value);
+        } else if (command === 0xb0) {
+            this.handleMidiControlChange(data[1], value);
+        }
+        // Note-offs (and note-ons with velocity 0) are ignored - spoon hits are one-shots
+    }
+
+    handleMidiNote(note, velocity) {
+        // Pads play the spoon mapped to that note, anything else plays the current spoon
+        const sound = Object.keys(this.sounds).find(id => this.getMidiNote(id) === note) || this.currentSound;
+        const hit = {
+            timestamp: Date.now(),
+            sound,
+            intensity: this.getIntensityForVelocity(velocity / 127),
+            velocity: velocity / 127,
+            rhythm: this.getRhythmContext(),
+            tempo: this.tempo,
+            seed: this.nextHitSeed()
+        };
+
+        this.recordHit(hit);
+        if (this.audioContext) {
+            this.captureLoopHit(hit);
+        }
+        this.animateSpoon(hit.intensity);
+        this.playSpoonSound(hit);
+    }
+
+    handleMidiControlChange(cc, value) {
+        const midi = this.midi;
+
+        if (midi.learnTarget) {
+            // A CC drives one control; re-learning moves it
+            Object.keys(midi.ccMap).forEach(key => {
+                if (midi.ccMap[key] === midi.learnTarget) delete midi.ccMap[key];
+            });
+            midi.ccMap[cc] = midi.learnTarget;
+            console.log(`🎹 CC ${cc} learned for ${this.midiCcTargets[midi.learnTarget]}`);
+            midi.learnTarget = null;
+            this.renderMidiCcMap();
+        }
+
+        const target = midi.ccMap[cc];
+        if (target) {
+            this.setSliderFromMidi(target, value);
+        }
+    }
+
+    // Drive the slider itself so its label, state and audio all update together
+    setSliderFromMidi(sliderId, value) {
+        const slider = document.getElementById(sliderId);
+        if (!slider) return;
+
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        const step = parseFloat(slider.step) || 0;
+        let mapped = min + (value / 127) * (max - min);
+        if (step > 0) {
+            mapped = min + Math.round((mapped - min) / step) * step;
+        }
+        slider.value = mapped;
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    renderMidiCcMap() {
+        const ccMap = document.getElementById('midiCcMap');
+        if (!ccMap) return;
+        ccMap.innerHTML = '';
+
+        Object.entries(this.midiCcTargets).forEach(([target, name]) => {
+            const row = document.createElement('div');
+            row.className = 'midi-cc-row';
+
+            const label = document.createElement('span');
+            label.textContent = name;
+
+            const cc = Object.keys(this.midi.ccMap).find(key => this.midi.ccMap[key] === target);
+            const learning = this.midi.learnTarget === target;
+
+            const btn = document.createElement('button');
+            btn.className = 'btn midi-learn-btn' + (learning ? ' learning' : '');
+            btn.textContent = learning ? 'Move a control…' : (cc !== undefined ? `CC ${cc}` : 'Learn');
+            btn.title = 'Click, then move a knob or fader on your controller';
+            btn.addEventListener('click', () => {
+                this.midi.learnTarget = learning ? null : target;
+                this.renderMidiCcMap();
+            });
+
+            row.appendChild(label);
+            row.appendChild(btn);
+
+            if (cc !== undefined) {
+                const clear = document.createElement('button');
+                clear.className = 'midi-cc-clear';
+                clear.textContent = '×';
+                clear.title = 'Forget this CC';
+                clear.addEventListener('click', () => {
+                    delete this.midi.ccMap[cc];
+                    this.renderMidiCcMap();
+                });
+                row.appendChild(clear);
+            }
+
+            ccMap.appendChild(row);
+        });
+    }
+
+    renderMidiNoteMap() {
+        const noteMap = document.getElementById('midiNoteMap');
+        if (!noteMap) return;
+        noteMap.innerHTML = '';
+
+        Object.entries(this.sounds).forEach(([sound, cfg]) => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const label = document.createElement('label');
+            label.textContent = `${cfg.name} Note`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.max = 127;
+            input.value = this.getMidiNote(sound);
+            input.addEventListener('change', () => {
+                const note = Math.max(0, Math.min(127, parseInt(input.value, 10) || 0));
+                input.value = note;
+                this.midi.noteMap[sound] = note;
+            });
+
+            group.appendChild(label);
+            group.appendChild(input);
+            noteMap.appendChild(group);
+        });
+    }
+
+    getMidiNote(sound) {
+        if (this.midi.noteMap[sound] !== undefined) return this.midi.noteMap[sound];
+        const cfg = this.sounds[sound];
+        return cfg && cfg.midiNote !== undefined ? cfg.midiNote : 60;
+    }
+
+    getMidiVelocity(hit) {
+        const velocity = hit.velocity !== undefined ? hit.velocity : this.getVelocityForIntensity(hit.intensity);
+        return Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    }
+
+    // Mirror a live hit as a note-on/off pair on the chosen MIDI output
+    sendMidiHit(hit) {
+        const midi = this.midi;
+        if (!midi.outputEnabled || !midi.access || !midi.outputId) return;
+        const output = midi.access.outputs.get(midi.outputId);
+        if (!output) return;
+
+        // Quantized hits sound later; send the note when they actually play
+        let timestamp = performance.now();
+        if (hit.time !== undefined && this.audioContext) {
+            timestamp += Math.max(0, (hit.time - this.audioContext.currentTime) * 1000);
+        }
 
-        // Request permission for iOS
-        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-            console.log('📱 Device orientation permission needed');
+        const status = midi.channel - 1;
+        const note = this.getMidiNote(hit.sound);
+        try {
+            output.send([0x90 | status, note, this.getMidiVelocity(hit)], timestamp);
+            output.send([0x80 | status, note, 0], timestamp + midi.noteLength);
+        } catch (error) {
+            console.warn('⚠️ MIDI send failed:', error);
         }
+    }
 
-        // Bind the orientation handler
-        this._onDeviceOrientation = (e) => this.handleOrientation(e);
-        
-        // Add orientation event listener
-        window.addEventListener('deviceorientation', this._onDeviceOrientation, true);
-        
-        console.log('🎛️ Device orientation tracking enabled for effects control');
+    setMidiStatus(message) {
+        const status = document.getElementById('midiStatus');
+        if (status) status.textContent = message;
     }
 
-    handleOrientation(event) {
-        if (!this.isListening) return;
+    setupCalibrationControls() {
+        const calibrateBtn = document.getElementById('calibrateBtn');
+        if (!calibrateBtn) return;
 
-        // Update orientation data
-        this.deviceOrientation.alpha = event.alpha || 0;  // Z-axis (yaw)
-        this.deviceOrientation.beta = event.beta || 0;    // X-axis (pitch) 
-        this.deviceOrientation.gamma = event.gamma || 0;  // Y-axis (roll)
+        calibrateBtn.addEventListener('click', () => this.startCalibration());
+        document.getElementById('calibrationCancelBtn').addEventListener('click', () => this.cancelCalibration());
+        document.getElementById('calibrationResetBtn').addEventListener('click', () => this.resetCalibration());
 
-        // Calibrate on first reading
-        if (!this.orientationCalibrated) {
-            this.orientationOffset = {
-                alpha: this.deviceOrientation.alpha,
-                beta: this.deviceOrientation.beta,
-                gamma: this.deviceOrientation.gamma
-            };
-            this.orientationCalibrated = true;
-            // Reset smoothing when calibrating
-            this.smoothedRoll = null;
-            this.lastNormalizedRoll = 0;
-            console.log('🎛️ Orientation calibrated:', this.orientationOffset);
-        }
+        this.loadCalibrationProfile();
+        this.updateCalibrationSummary();
+    }
 
-        // Calculate relative orientation (subtract calibration offset)
-        const relativeOrientation = {
-            alpha: this.deviceOrientation.alpha - this.orientationOffset.alpha,
-            beta: this.deviceOrientation.beta - this.orientationOffset.beta,
-            gamma: this.deviceOrientation.gamma - this.orientationOffset.gamma
+    // Current detector settings in the same shape a calibration profile uses
+    getShakeProfile() {
+        return {
+            motionThreshold: this.motionThreshold,
+            soundCooldown: this.soundCooldown,
+            motionCooldown: this.motionCooldown,
+            dynamicsFloor: this.dynamics.floor,
+            dynamicsCeiling: this.dynamics.ceiling
         };
+    }
 
-        // Map orientation to effects parameters
-        this.updateEffectsFromOrientation(relativeOrientation);
+    applyShakeProfile(profile) {
+        this.motionThreshold = profile.motionThreshold;
+        this.soundCooldown = profile.soundCooldown;
+        this.motionCooldown = profile.motionCooldown;
+        this.dynamics.floor = profile.dynamicsFloor;
+        this.dynamics.ceiling = profile.dynamicsCeiling;
     }
 
-    updateEffectsFromOrientation(orientation) {
-        // Roll (gamma) controls wet/dry mix for all effects
-        // The calibrated zero point becomes the center of the control range
-        
-        // Add smoothing to prevent sudden jumps
-        if (!this.smoothedRoll) {
-            this.smoothedRoll = orientation.gamma || 0;
+    loadCalibrationProfile() {
+        let profile;
+        try {
+            profile = JSON.parse(localStorage.getItem('shakiSpoons.calibration'));
+        } catch (error) {
+            console.warn('⚠️ Saved calibration is unreadable:', error);
+            return;
         }
-        
-        // Limit maximum change per frame to prevent large jumps
-        const maxChangePerFrame = 1; // Maximum degrees change per frame
-        const rawRoll = orientation.gamma || 0;
-        const rollDifference = rawRoll - this.smoothedRoll;
-        
-        // If the change is too large, limit it
-        let limitedRollChange = rollDifference;
-        if (Math.abs(rollDifference) > maxChangePerFrame) {
-            limitedRollChange = Math.sign(rollDifference) * maxChangePerFrame;
+        if (!profile) return;
+
+        const fields = ['motionThreshold', 'soundCooldown', 'motionCooldown', 'dynamicsFloor', 'dynamicsCeiling'];
+        if (fields.some(field => typeof profile[field] !== 'number' || !isFinite(profile[field]))) {
+            console.warn('⚠️ Saved calibration is incomplete - using defaults');
+            return;
         }
-        
-        // Apply the limited change
-        this.smoothedRoll = this.smoothedRoll + limitedRollChange;
-        
-        // New mapping: calibrated zero point = 0.5 wet/dry mix
-        // ±45 degrees from zero point = full range (0 to 1)
-        const rollRange = 45; // 45 degrees in each direction from center
-        const clampedRoll = Math.max(-rollRange, Math.min(rollRange, this.smoothedRoll));
-        
-        // Convert to 0-1 range: 0 = -45°, 0.5 = 0°, 1 = +45°
-        let normalizedRoll = (clampedRoll + rollRange) / (rollRange * 2); // 0 to 1
-        normalizedRoll = Math.max(0, Math.min(1, normalizedRoll)); // Extra safety clamp
-        
-        // Track orientation values for smoothing
-        this.lastNormalizedRoll = normalizedRoll;
-        
-        // Roll controls wet/dry mix for all effects
-        this.effects.dubDelay.wetDryMix = normalizedRoll; // 0 to 1
-        this.effects.reverb.wetDryMix = normalizedRoll; // 0 to 1
-        this.effects.overdrive.wetDryMix = normalizedRoll; // 0 to 1
+        this.applyShakeProfile(profile);
+        this.calibrationSource = 'saved';
+        console.log('🎯 Calibration profile restored:', profile);
+    }
 
-        // Update the effects chain with new parameters
-        this.updateEffectsChain();
-        
-        // Update UI display values
-        this.updateOrientationDisplay(orientation);
+    startCalibration() {
+        if (!this.isListening) {
+            this.setCalibrationStatus('Press Start first so the app can feel your shakes.');
+            return;
+        }
+        this.calibration = {
+            phase: 'soft',
+            shakes: { soft: [], hard: [] },
+            burst: null
+        };
+        document.getElementById('calibrateBtn').disabled = true;
+        document.getElementById('calibrationCancelBtn').disabled = false;
+        this.updateCalibrationProgress();
+        console.log('🎯 Calibration started');
     }
 
-    updateOrientationDisplay(orientation) {
-        // Update wet/dry sliders position in real-time (controlled by Roll)
-        const delayWetDrySlider = document.getElementById('delayWetDry');
-        if (delayWetDrySlider) {
-            delayWetDrySlider.value = this.effects.dubDelay.wetDryMix.toFixed(1);
+    cancelCalibration(message = 'Calibration cancelled.') {
+        if (!this.calibration) return;
+        this.calibration = null;
+        document.getElementById('calibrateBtn').disabled = false;
+        document.getElementById('calibrationCancelBtn').disabled = true;
+        this.renderCalibrationDots(0);
+        this.setCalibrationStatus(message);
+    }
+
+    resetCalibration() {
+        this.cancelCalibration();
+        try {
+            localStorage.removeItem('shakiSpoons.calibration');
+        } catch (error) {
+            console.warn('⚠️ Could not clear saved calibration:', error);
         }
+        this.applyShakeProfile(this.defaultShakeProfile);
+        this.calibrationSource = null;
+        this.updateCalibrationSummary();
+        this.setCalibrationStatus('Back to the default shake settings.');
+        console.log('🎯 Calibration reset to defaults');
+    }
+
+    // Group raw motion deltas into individual shakes and keep each one's peak
+    collectCalibrationSample(delta, now) {
+        const calibration = this.calibration;
+        const noiseFloor = this.calibrationNoiseFloor;
 
-        // Update delay wet/dry display
-        const delayWetDryElement = document.getElementById('delayWetDryValue');
-        if (delayWetDryElement) {
-            delayWetDryElement.textContent = Math.round(this.effects.dubDelay.wetDryMix * 100) + '%';
+        if (delta >= noiseFloor) {
+            if (!calibration.burst) {
+                calibration.burst = { peak: 0, start: now, end: now };
+            }
+            calibration.burst.peak = Math.max(calibration.burst.peak, delta);
+            calibration.burst.end = now;
+            return;
         }
 
-        // Update reverb wet/dry slider position in real-time (controlled by Roll)
-        const reverbWetDrySlider = document.getElementById('reverbWetDry');
-        if (reverbWetDrySlider) {
-            reverbWetDrySlider.value = this.effects.reverb.wetDryMix.toFixed(1);
+        // A shake ends once the phone has been still for a moment
+        const burst = calibration.burst;
+        if (!burst || now - burst.end < this.calibrationGap) return;
+        calibration.burst = null;
+        if (burst.peak < noiseFloor * 1.5) return;
+
+        const shakes = calibration.shakes[calibration.phase];
+        shakes.push({ peak: burst.peak, duration: burst.end - burst.start, time: burst.start });
+
+        if (shakes.length < this.calibrationShakesPerPhase) {
+            this.updateCalibrationProgress();
+        } else if (calibration.phase === 'soft') {
+            calibration.phase = 'hard';
+            this.updateCalibrationProgress();
+        } else {
+            this.finishCalibration();
         }
+    }
 
-        // Update reverb wet/dry display
-        const reverbWetDryElement = document.getElementById('reverbWetDryValue');
-        if (reverbWetDryElement) {
-            reverbWetDryElement.textContent = Math.round(this.effects.reverb.wetDryMix * 100) + '%';
+    finishCalibration() {
+        const { shakes } = this.calibration;
+        let profile;
+        try {
+            profile = this.computeCalibrationProfile(shakes.soft, shakes.hard);
+        } catch (error) {
+            this.cancelCalibration(`❌ ${error.message} - try again.`);
+            return;
         }
 
-        // Update overdrive wet/dry slider position in real-time (controlled by Roll)
-        const overdriveWetDrySlider = document.getElementById('overdriveWetDry');
-        if (overdriveWetDrySlider) {
-            overdriveWetDrySlider.value = this.effects.overdrive.wetDryMix.toFixed(1);
+        this.cancelCalibration('');
+        this.applyShakeProfile(profile);
+        try {
+            localStorage.setItem('shakiSpoons.calibration', JSON.stringify(profile));
+            this.calibrationSource = 'saved';
+            this.setCalibrationStatus('✅ Calibrated! Your settings are saved on this device.');
+            console.log('🎯 Calibration saved:', profile);
+        } catch (error) {
+            // Keep using the new profile, it just won't survive a reload
+            this.calibrationSource = 'session';
+            this.setCalibrationStatus('⚠️ Calibrated, but browser storage is unavailable - you\'ll need to calibrate again next time.');
+            console.warn('⚠️ Could not save calibration:', error);
         }
+        this.updateCalibrationSummary();
+    }
 
-        // Update overdrive wet/dry display
-        const overdriveWetDryElement = document.getElementById('overdriveWetDryValue');
-        if (overdriveWetDryElement) {
-            overdriveWetDryElement.textContent = Math.round(this.effects.overdrive.wetDryMix * 100) + '%';
+    computeCalibrationProfile(softShakes, hardShakes) {
+        const percentile = (values, p) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        };
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+        const softPeaks = softShakes.map(shake => shake.peak);
+        const hardPeaks = hardShakes.map(shake => shake.peak);
+        const softMedian = percentile(softPeaks, 0.5);
+        const hardMedian = percentile(hardPeaks, 0.5);
+        if (hardMedian < softMedian * 1.2) {
+            throw new Error('The hard shakes were not much harder than the soft ones');
         }
 
-        // Update orientation display (if element exists) - show roll control for wet/dry mix
-        const orientationDisplay = document.getElementById('orientationDisplay');
-        if (orientationDisplay) {
-            const rollRange = 45;
-            const clampedRoll = Math.max(-rollRange, Math.min(rollRange, orientation.gamma));
-            const rollSign = clampedRoll >= 0 ? '+' : '';
-            
-            orientationDisplay.innerHTML = `
-                <div>Roll: ${rollSign}${clampedRoll.toFixed(1)}° (0° = 50% wet/dry) → All Wet/Dry Mix</div>
-                <div>Delay Wet/Dry: ${Math.round(this.effects.dubDelay.wetDryMix * 100)}%</div>
-                <div>Reverb Wet/Dry: ${Math.round(this.effects.reverb.wetDryMix * 100)}%</div>
-                <div>Overdrive Wet/Dry: ${Math.round(this.effects.overdrive.wetDryMix * 100)}%</div>
-            `;
+        // Soft shakes must still trigger: a lone peak has to clear 1.2x the
+        // threshold in detectVigorousShake, so leave a little headroom
+        const motionThreshold = Math.max(this.calibrationNoiseFloor * 1.5, percentile(softPeaks, 0.25) / 1.25);
+
+        // Place soft shakes on the light anchor and hard ones on the strong anchor
+        const anchors = this.dynamics.anchors;
+        const soft = softMedian / motionThreshold;
+        const hard = hardMedian / motionThreshold;
+        const range = (hard - soft) / (anchors.strong - anchors.light);
+        const dynamicsFloor = soft - anchors.light * range;
+
+        // One shake should never fire twice, but fast players need short gaps
+        const all = [...softShakes, ...hardShakes];
+        const duration = percentile(all.map(shake => shake.duration), 0.5);
+        const gaps = [softShakes, hardShakes].flatMap(shakes =>
+            shakes.slice(1).map((shake, i) => shake.time - shakes[i].time)
+        );
+        const fastestGap = gaps.length > 0 ? Math.min(...gaps) : 300;
+        const motionCooldown = Math.round(clamp(duration * 1.5, 80, 250));
+        const soundCooldown = Math.round(clamp(Math.min(motionCooldown * 0.7, fastestGap * 0.5), 50, 200));
+
+        return {
+            version: 1,
+            motionThreshold: Math.round(motionThreshold * 100) / 100,
+            soundCooldown,
+            motionCooldown,
+            dynamicsFloor: Math.round(dynamicsFloor * 100) / 100,
+            dynamicsCeiling: Math.round((dynamicsFloor + range) * 100) / 100,
+            calibratedAt: Date.now()
+        };
+    }
+
+    updateCalibrationProgress() {
+        const calibration = this.calibration;
+        const count = calibration.shakes[calibration.phase].length;
+        const total = this.calibrationShakesPerPhase;
+        this.renderCalibrationDots(count);
+        this.setCalibrationStatus(calibration.phase === 'soft'
+            ? `🤏 Give ${total} gentle shakes... ${count}/${total}`
+            : `💪 Now ${total} hard shakes... ${count}/${total}`);
+    }
+
+    renderCalibrationDots(count) {
+        const dots = document.getElementById('calibrationProgress');
+        if (!dots) return;
+        dots.innerHTML = '';
+        if (!this.calibration) return;
+        for (let i = 0; i < this.calibrationShakesPerPhase; i++) {
+            const dot = document.createElement('span');
+            dot.className = i < count ? 'calibration-dot active' : 'calibration-dot';
+            dots.appendChild(dot);
         }
     }
 
+    updateCalibrationSummary() {
+        const summary = document.getElementById('calibrationSummary');
+        if (!summary) return;
+        const source = { saved: 'Your profile', session: 'Your profile (this session only)' }[this.calibrationSource] || 'Defaults';
+        summary.textContent = `${source}: threshold ${this.motionThreshold.toFixed(1)}, ` +
+            `cooldown ${this.soundCooldown}ms / ${this.motionCooldown}ms`;
+    }
+
+    setCalibrationStatus(message) {
+        const status = document.getElementById('calibrationStatus');
+        if (status) status.textContent = message;
+    }
+
     checkDeviceSupport() {
         if (!window.DeviceMotionEvent) {
             console.log('ℹ️ Motion sensors not supported - using manual mode');
@@ -763,6 +4037,9 @@ class SpoonSoundApp {
             this.isListening = true;
             this.startBtn.disabled = true;
             this.stopBtn.disabled = false;
+            this.recordBtn.disabled = false;
+            this.hitRecordBtn.disabled = false;
+            this.replayBtn.disabled = !this.lastPerformance;
 
             // Audio
             if (!this.audioContext) {
@@ -771,6 +4048,11 @@ class SpoonSoundApp {
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
+            this.getEffectsBus();
+            this.loadSoundSamples();
+            if (this.metronome.enabled) {
+                this.startMetronome();
+            }
 
             // Enhanced motion permission handling based on working test page
             if (!window.DeviceMotionEvent) {
@@ -826,6 +4108,25 @@ class SpoonSoundApp {
         this.startBtn.disabled = false;
         this.stopBtn.disabled = true;
 
+        // Save the take before the audio context goes away
+        if (this.recorder) {
+            this.stopRecording();
+        }
+        this.recordBtn.disabled = true;
+
+        this.stopHitRecording();
+        this.stopReplay();
+        this.cancelCalibration();
+        this.hitRecordBtn.disabled = true;
+        this.replayBtn.disabled = true;
+
+        // Keep the toggle on so the click resumes with the next start
+        this.stopMetronome(true);
+        this.quantize.gridOrigin = null;
+        this.stopSequencer();
+        this.clearLoop();
+        this.stopTremolo();
+
         window.removeEventListener('devicemotion', this.handleMotion);
         window.removeEventListener('deviceorientation', this._onDeviceOrientation);
 
@@ -833,6 +4134,7 @@ class SpoonSoundApp {
             this.audioContext.close();
             this.audioContext = null;
         }
+        this.effectsBus = null;
 
         this.updateMotionDisplay(0);
         console.log('ℹ️ App stopped');
@@ -856,11 +4158,13 @@ class SpoonSoundApp {
 
         const now = Date.now();
 
-        // Deltas capture shake better than absolute values
-        const deltaX = Math.abs(acceleration.x - this.lastAcceleration.x);
-        const deltaY = Math.abs(acceleration.y - this.lastAcceleration.y);
-        const deltaZ = Math.abs(acceleration.z - this.lastAcceleration.z);
-        const totalDelta = deltaX + deltaY + deltaZ;
+        // Deltas capture shake better than absolute values; keep the signs for stroke direction
+        const delta = {
+            x: acceleration.x - this.lastAcceleration.x,
+            y: acceleration.y - this.lastAcceleration.y,
+            z: acceleration.z - this.lastAcceleration.z
+        };
+        const totalDelta = Math.abs(delta.x) + Math.abs(delta.y) + Math.abs(delta.z);
 
         // History for context/rhythm
         this.shakeHistory.push({ intensity: totalDelta, timestamp: now });
@@ -874,16 +4178,137 @@ class SpoonSoundApp {
         );
         this.updateMotionDisplay(currentMagnitude);
 
-        // Gate rapid triggers
-        const isSignificant = this.detectVigorousShake(totalDelta, now);
-        if (isSignificant && (now - this.lastMotionTime) > this.motionCooldown) {
-            this.lastMotionTime = now;
-            this.triggerSound();
+        if (this.calibration) {
+            // Measure only - calibration shakes shouldn't play
+            this.collectCalibrationSample(totalDelta, now);
+        } else {
+            if (event.rotationRate) {
+                this.detectTremolo(event.rotationRate, now);
+            }
+
+            // Gate rapid triggers (a roll already plays its own stream of hits)
+            const isSignificant = !this.tremolo.active && this.detectVigorousShake(totalDelta, now);
+            if (isSignificant && (now - this.lastMotionTime) > this.motionCooldown) {
+                this.lastMotionTime = now;
+                this.triggerSound({ stroke: this.classifyStroke(delta) });
+            }
         }
 
         this.lastAcceleration = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
     }
 
+    // Watch the gyroscope for a back-and-forth wrist/finger roll
+    detectTremolo(rotationRate, now) {
+        const tremolo = this.tremolo;
+
+        // Follow whichever rotation axis is moving most
+        const axes = [rotationRate.alpha || 0, rotationRate.beta || 0, rotationRate.gamma || 0];
+        const value = axes.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a), 0);
+        const speed = Math.abs(value);
+
+        if (speed >= tremolo.minRate) {
+            const sign = Math.sign(value);
+            if (tremolo.lastSign && sign !== tremolo.lastSign) {
+                tremolo.reversals.push(now);
+            }
+            tremolo.lastSign = sign;
+            tremolo.lastActiveTime = now;
+            tremolo.rate += (speed - tremolo.rate) * 0.3; // smooth out single-sample spikes
+        }
+        tremolo.reversals = tremolo.reversals.filter(t => now - t < tremolo.window);
+
+        if (!tremolo.active && tremolo.reversals.length >= tremolo.minReversals) {
+            this.startTremolo();
+        } else if (tremolo.active && now - tremolo.lastActiveTime > tremolo.releaseTime) {
+            this.stopTremolo();
+        }
+    }
+
+    startTremolo() {
+        const tremolo = this.tremolo;
+        if (tremolo.active || !this.audioContext) return;
+
+        tremolo.active = true;
+        tremolo.nextBurstTime = this.audioContext.currentTime + 0.01;
+        this.spoon.classList.add('active');
+        this.scheduleTremolo();
+        tremolo.timer = setInterval(() => this.scheduleTremolo(), 25);
+        console.log('🌀 Spoon roll started');
+    }
+
+    stopTremolo() {
+        const tremolo = this.tremolo;
+        if (tremolo.timer) {
+            clearInterval(tremolo.timer);
+            tremolo.timer = null;
+        }
+        tremolo.reversals = [];
+        tremolo.lastSign = 0;
+        tremolo.rate = 0;
+        if (!tremolo.active) return;
+
+        tremolo.active = false;
+        this.spoon.classList.remove('active');
+        console.log('🌀 Spoon roll stopped');
+    }
+
+    // Keep a stream of short bursts queued; faster rotation packs them closer
+    scheduleTremolo() {
+        const tremolo = this.tremolo;
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        const cfg = this.sounds[this.currentSound];
+        if (!cfg) return;
+
+        // minRate..maxRate deg/s -> slowest..fastest burst spacing
+        const span = tremolo.maxRate - tremolo.minRate;
+        const drive = Math.max(0, Math.min(1, (tremolo.rate - tremolo.minRate) / span));
+        const interval = tremolo.slowInterval + (tremolo.fastInterval - tremolo.slowInterval) * drive;
+
+        const now = this.audioContext.currentTime;
+        const horizon = now + 0.1;
+        if (tremolo.nextBurstTime < now) {
+            tremolo.nextBurstTime = now;
+        }
+        while (tremolo.nextBurstTime < horizon) {
+            // Each burst is a roll hit, so recordings, loops and MIDI out hear it too
+            const hit = {
+                timestamp: Date.now() + (tremolo.nextBurstTime - now) * 1000,
+                time: tremolo.nextBurstTime,
+                sound: this.currentSound,
+                intensity: this.getIntensityForVelocity(drive),
+                velocity: drive,
+                stroke: 'roll',
+                burst: true,
+                rhythm: this.getRhythmContext(),
+                tempo: this.tempo,
+                seed: this.nextHitSeed()
+            };
+            this.recordHit(hit);
+            this.captureLoopHit(hit);
+            this.sendMidiHit(hit);
+            this.synthesizeHit(hit, this.getLiveVoiceTarget());
+            tremolo.nextBurstTime += interval;
+        }
+
+        const hitsPerSecond = Math.round(1 / interval);
+        this.lastSoundDisplay && (this.lastSoundDisplay.textContent = `${cfg.name} ${this.strokeSymbols.roll} - roll ${hitsPerSecond} hits/s`);
+        this.cleanupAudioInstances();
+    }
+
+    // Held upright, a spoon stroke moves the phone along its y (screen up/down)
+    // or z (through the screen) axis; sideways or spread-out motion is a roll
+    classifyStroke(delta) {
+        const ax = Math.abs(delta.x), ay = Math.abs(delta.y), az = Math.abs(delta.z);
+        const total = ax + ay + az;
+        if (total === 0) return undefined;
+
+        const peak = Math.max(ax, ay, az);
+        if (peak === ax || peak / total < 0.5) return 'roll';
+        const value = peak === ay ? delta.y : delta.z;
+        return value < 0 ? 'down' : 'up';
+    }
+
     detectVigorousShake(currentIntensity, timestamp) {
         if (currentIntensity < this.motionThreshold) return false;
 
@@ -916,13 +4341,49 @@ class SpoonSoundApp {
         }
     }
 
-    triggerSound() {
+    triggerSound(options = {}) {
         const now = Date.now();
         if (now - this.lastSoundTime < this.soundCooldown) return;
 
         this.lastSoundTime = now;
+        const velocity = this.getCurrentShakeVelocity();
+
+        // Everything needed to reproduce this hit exactly
+        const hit = {
+            timestamp: now,
+            sound: this.currentSound,
+            intensity: this.getIntensityForVelocity(velocity),
+            velocity,
+            stroke: options.stroke,
+            rhythm: this.getRhythmContext(),
+            tempo: this.tempo,
+            seed: this.nextHitSeed()
+        };
+
+        // Quantize: push the hit forward onto the tempo grid
+        const quantizeDelay = this.getQuantizeDelay();
+        if (quantizeDelay > 0) {
+            hit.time = this.audioContext.currentTime + quantizeDelay;
+            hit.timestamp += quantizeDelay * 1000;
+        }
+        this.recordHit(hit);
+        if (this.audioContext) {
+            this.captureLoopHit(hit);
+        }
+        this.sendMidiHit(hit);
 
         // Trigger spoon clapping animation (always play, regardless of audio state)
+        if (hit.time !== undefined) {
+            this.scheduleSpoonAnimation(hit.intensity, hit.time);
+        } else {
+            this.animateSpoon(hit.intensity);
+        }
+
+        // Play sound (only if audio context is ready)
+        this.playSpoonSound(hit);
+    }
+
+    animateSpoon(intensity) {
         this.spoon.classList.add('active');
         clearTimeout(this._animTO);
         this._animTO = setTimeout(() => {
@@ -930,52 +4391,219 @@ class SpoonSoundApp {
         }, 200);
 
         // Visual pop scaled by intensity
-        const intensity = this.getCurrentShakeIntensity();
         const scale = intensity === 'strong' ? 1.15 : intensity === 'medium' ? 1.08 : 1.03;
         this.spoon.style.transform = `scale(${scale})`;
         clearTimeout(this._scaleTO);
         this._scaleTO = setTimeout(() => {
             this.spoon.style.transform = '';
         }, 140);
-
-        // Play sound (only if audio context is ready)
-        this.playSpoonSound();
     }
 
-    playSpoonSound() {
+    // Play one hit. Every field of the hit is optional; missing ones come from the
+    // live state. `time` schedules the hit on the audio clock, `seed` makes it repeatable.
+    playSpoonSound(hit = {}) {
         if (!this.audioContext || this.audioContext.state !== 'running') return;
 
-        const cfg = this.sounds[this.currentSound];
-        const now = this.audioContext.currentTime;
+        const played = this.synthesizeHit(hit, this.getLiveVoiceTarget());
+        if (!played) return;
+
+        const rhythmInfo = played.rhythm.isFastRhythm ? ' (Fast Rhythm)' : '';
+        const velocityInfo = ` ${Math.round(played.velocity * 100)}%`;
+        const strokeInfo = played.stroke ? ` ${this.strokeSymbols[played.stroke]}` : '';
+        this.lastSoundDisplay && (this.lastSoundDisplay.textContent = `${played.cfg.name}${strokeInfo} - ${played.intensity}${velocityInfo}${rhythmInfo}`);
 
-        const intensity = this.getCurrentShakeIntensity(); // 'light' | 'medium' | 'strong'
-        const rhythm = this.getRhythmContext();
+        this.cleanupAudioInstances();
+    }
+
+    // Where voices go: the context, the effects bus they feed, the sample round-robin
+    // positions and the list cleanupAudioInstances watches. Offline renders pass their own.
+    getLiveVoiceTarget() {
+        return {
+            context: this.audioContext,
+            bus: this.getEffectsBus(),
+            roundRobin: this.sampleRoundRobin,
+            instances: this.audioInstances
+        };
+    }
 
-        // Map intensity -> volume factor (per hit)
-        const intensityFactor = intensity === 'strong' ? 1.0 : (intensity === 'medium' ? 0.7 : 0.4);
+    // Build the voices for one hit on the target's context (live or offline)
+    synthesizeHit(hit, target) {
+        const sound = hit.sound || this.currentSound;
+        const cfg = this.sounds[sound];
+        if (!cfg) return null;
+        const now = hit.time !== undefined ? hit.time : target.context.currentTime;
+
+        // Continuous 0-1 velocity drives synthesis; the bucket still picks sample layers
+        const velocity = hit.velocity !== undefined
+            ? hit.velocity
+            : (hit.intensity ? this.getVelocityForIntensity(hit.intensity) : this.getCurrentShakeVelocity());
+        const intensity = hit.intensity || this.getIntensityForVelocity(velocity);
+        const rhythm = hit.rhythm || this.getRhythmContext();
+        const tempo = hit.tempo !== undefined ? hit.tempo : this.tempo;
+
+        // All synthesis randomness for this hit comes from its seed
+        const voice = { ...target, random: this.createSeededRandom(hit.seed !== undefined ? hit.seed : this.nextHitSeed()) };
+
+        // Map velocity -> volume factor (per hit)
+        const voiced = this.applyStrokeVoicing(cfg, hit.stroke);
+        const intensityFactor = this.scaleByVelocity(velocity, 0.4, 0.7, 1.0) * voiced.strokeGain;
         const finalVolume = this.baseVolume * intensityFactor;
 
-        // Percussive noise bursts
-        this.createVariedSpoonPercussion(cfg, now, intensity, rhythm, finalVolume, this.tempo);
+        // A tremolo burst is one short noise burst, never a sample or a tone
+        if (hit.burst) {
+            const baseDur = 0.015 + voice.random() * 0.015; // 15-30ms, short enough not to blur
+            this.createSpoonPercussionBursts(voice, voiced, now, 1, baseDur, 0.9, 1.2, finalVolume, tempo);
+            return { cfg, intensity, velocity, stroke: hit.stroke, rhythm };
+        }
+
+        // Recorded samples take priority; fall back to synthesis until they're loaded
+        const sample = this.pickSample(voice, sound, intensity);
+        if (sample) {
+            this.playSpoonSample(voice, voiced, sample, now, intensityFactor);
+        } else {
+            // Percussive noise bursts
+            this.createVariedSpoonPercussion(voice, voiced, now, velocity, rhythm, finalVolume, tempo);
 
-        // Tonal character with harmonics & micro-sweep
-        this.createRichMaterialTone(cfg, now, intensity, rhythm, finalVolume, this.tempo);
+            // Tonal character with harmonics & micro-sweep
+            this.createRichMaterialTone(voice, voiced, now, velocity, rhythm, finalVolume, tempo);
+        }
 
-        const rhythmInfo = rhythm.isFastRhythm ? ' (Fast Rhythm)' : '';
-        this.lastSoundDisplay && (this.lastSoundDisplay.textContent = `${cfg.name} - ${intensity}${rhythmInfo}`);
+        return { cfg, intensity, velocity, stroke: hit.stroke, rhythm };
+    }
 
-        this.cleanupAudioInstances();
+    // Copy of a spoon config re-voiced for a stroke (taps and pads have no stroke)
+    applyStrokeVoicing(cfg, stroke) {
+        const base = this.strokeVoicings[stroke];
+        if (!base) return { ...cfg, strokeGain: 1.0, strokeRate: 1.0, strokeTone: 1.0, extraBursts: 0 };
+        const voicing = { ...base, ...(cfg.strokes && cfg.strokes[stroke]) };
+
+        // Downstrokes sit on the spoon's lowest frequency, upstrokes on its highest
+        let frequencies = cfg.frequencies;
+        if (voicing.pitch === 'lowest') {
+            frequencies = [Math.min(...frequencies)];
+        } else if (voicing.pitch === 'highest') {
+            frequencies = [Math.max(...frequencies)];
+        }
+
+        return {
+            ...cfg,
+            frequencies: frequencies.map(f => f * voicing.freqMul),
+            filterFreq: cfg.filterFreq * voicing.filterMul,
+            strokeGain: voicing.gain,
+            // Samples can't be re-pitched per partial, so they get the same
+            // shifts as a playback rate and a treble shelf instead
+            strokeRate: voicing.freqMul,
+            strokeTone: voicing.filterMul,
+            extraBursts: voicing.extraBursts
+        };
+    }
+
+    // Fetch and decode the samples referenced by every sound config
+    async loadSoundSamples() {
+        const loads = Object.entries(this.sounds)
+            .filter(([, cfg]) => cfg.samples)
+            .map(([id, cfg]) => this.loadSamplesForSound(id, cfg));
+        await Promise.all(loads);
+    }
+
+    async loadSamplesForSound(id, cfg) {
+        // A plain array means the same samples for every intensity
+        const layerUrls = Array.isArray(cfg.samples)
+            ? { light: cfg.samples, medium: cfg.samples, strong: cfg.samples }
+            : cfg.samples;
+
+        const layers = { light: [], medium: [], strong: [] };
+        for (const layer of Object.keys(layers)) {
+            const urls = layerUrls[layer] || [];
+            const buffers = await Promise.all(urls.map(url => this.loadSampleBuffer(url)));
+            layers[layer] = buffers.filter(Boolean);
+        }
+
+        this.sampleLayers[id] = layers;
+        const total = layers.light.length + layers.medium.length + layers.strong.length;
+        console.log(`🎙️ Loaded ${total} sample(s) for ${cfg.name}`);
+    }
+
+    loadSampleBuffer(url) {
+        if (!this.sampleBufferCache.has(url)) {
+            const load = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(data => this.audioContext.decodeAudioData(data))
+                .catch(error => {
+                    console.warn(`⚠️ Could not load sample ${url} - using synthesis instead:`, error);
+                    this.sampleBufferCache.delete(url);
+                    return null;
+                });
+            this.sampleBufferCache.set(url, load);
+        }
+        return this.sampleBufferCache.get(url);
+    }
+
+    // Round-robin through the velocity layer for this intensity, borrowing from
+    // the nearest layer when it has no samples
+    pickSample(voice, sound, intensity) {
+        const layers = this.sampleLayers[sound];
+        if (!layers) return null;
+
+        const fallbackOrder = {
+            light: ['light', 'medium', 'strong'],
+            medium: ['medium', 'light', 'strong'],
+            strong: ['strong', 'medium', 'light']
+        }[intensity] || ['medium', 'light', 'strong'];
+
+        const layer = fallbackOrder.find(name => layers[name] && layers[name].length > 0);
+        if (!layer) return null;
+
+        const key = `${sound}:${layer}`;
+        const index = (voice.roundRobin[key] || 0) % layers[layer].length;
+        voice.roundRobin[key] = index + 1;
+        return layers[layer][index];
+    }
+
+    playSpoonSample(voice, cfg, buffer, startTime, intensityFactor) {
+        const source = voice.context.createBufferSource();
+        const gain = voice.context.createGain();
+
+        source.buffer = buffer;
+        // Tiny pitch variation so repeated hits don't sound machine-gunned
+        const playbackRate = (cfg.strokeRate || 1.0) * (0.98 + voice.random() * 0.04);
+        source.playbackRate.setValueAtTime(playbackRate, startTime);
+        gain.gain.setValueAtTime((cfg.sampleGain || 1.0) * intensityFactor, startTime);
+
+        // Downstrokes darken the recording and upstrokes brighten it
+        const tone = cfg.strokeTone || 1.0;
+        if (tone !== 1.0) {
+            const shelf = voice.context.createBiquadFilter();
+            shelf.type = 'highshelf';
+            shelf.frequency.setValueAtTime(2500, startTime);
+            shelf.gain.setValueAtTime(12 * Math.log2(tone), startTime);
+            source.connect(shelf);
+            shelf.connect(gain);
+        } else {
+            source.connect(gain);
+        }
+        gain.connect(voice.bus.input);
+
+        source.start(startTime);
+        voice.instances.push({ source, contextTime: startTime + buffer.duration / playbackRate });
     }
 
-    createReverbImpulse(roomSize, decay, damping) {
-        const sampleRate = this.audioContext.sampleRate;
+    createReverbImpulse(ctx, roomSize, decay, damping) {
+        const sampleRate = ctx.sampleRate;
+        // Same room + same seed always gives the same impulse
+        const random = this.createSeededRandom(
+            this.hashString(`${this.randomSeed || 0}_${this.getReverbCacheKey(ctx, roomSize, decay, damping)}`)
+        );
         
         // Limit buffer size to prevent memory issues and audio dropouts
         const maxLength = Math.floor(sampleRate * 3.0); // Max 3 seconds
         const requestedLength = Math.floor(sampleRate * roomSize);
         const length = Math.min(requestedLength, maxLength);
         
-        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+        const impulse = ctx.createBuffer(2, length, sampleRate);
         
         for (let channel = 0; channel < 2; channel++) {
             const channelData = impulse.getChannelData(channel);
@@ -991,10 +4619,10 @@ class SpoonSoundApp {
                 let noise;
                 if (i < 10) {
                     // Initial spike
-                    noise = (Math.random() * 2 - 1) * 0.8;
+                    noise = (random() * 2 - 1) * 0.8;
                 } else {
                     // Decaying noise
-                    noise = (Math.random() * 2 - 1) * decayValue * 0.3;
+                    noise = (random() * 2 - 1) * decayValue * 0.3;
                 }
                 
                 // Apply damping (reduce high frequencies over time)
@@ -1007,175 +4635,285 @@ class SpoonSoundApp {
         return impulse;
     }
 
-    // Create effects processing chain
-    createEffectsChain(source) {
-        // Always create a new effects chain for each sound to avoid conflicts
-        let currentNode = source;
-        
-        // If no effects are enabled, connect directly to output
-        if (!this.masterEffectsEnabled || (!this.effects.dubDelay.enabled && !this.effects.reverb.enabled && !this.effects.overdrive.enabled)) {
-            source.connect(this.audioContext.destination);
-            return source;
-        }
-
-        // Dub Delay Effect
-        if (this.masterEffectsEnabled && this.effects.dubDelay.enabled) {
-            const delayNode = this.audioContext.createDelay(1.0);
-            const feedbackGain = this.audioContext.createGain();
-            const filterNode = this.audioContext.createBiquadFilter();
-            const wetGain = this.audioContext.createGain();
-            const dryGain = this.audioContext.createGain();
-
-            // Configure delay
-            delayNode.delayTime.setValueAtTime(this.effects.dubDelay.delayTime, this.audioContext.currentTime);
-            feedbackGain.gain.setValueAtTime(this.effects.dubDelay.feedback, this.audioContext.currentTime);
-            filterNode.type = 'lowpass';
-            filterNode.frequency.setValueAtTime(this.effects.dubDelay.filterFreq, this.audioContext.currentTime);
-            filterNode.Q.setValueAtTime(1, this.audioContext.currentTime);
-
-            // Individual wet/dry mix controls
-            wetGain.gain.setValueAtTime(this.effects.dubDelay.wetDryMix, this.audioContext.currentTime);
-            dryGain.gain.setValueAtTime(1 - this.effects.dubDelay.wetDryMix, this.audioContext.currentTime);
-
-            // Connect the delay chain
-            currentNode.connect(dryGain);
-            currentNode.connect(delayNode);
-            delayNode.connect(filterNode);
-            filterNode.connect(feedbackGain);
-            feedbackGain.connect(delayNode);
-            delayNode.connect(wetGain);
-
-            // Merge dry and wet using a simple gain node
-            const merger = this.audioContext.createGain();
-            dryGain.connect(merger);
-            wetGain.connect(merger);
-
-            currentNode = merger;
-        }
-
-        // Reverb Effect
-        if (this.masterEffectsEnabled && this.effects.reverb.enabled) {
-            const wetGain = this.audioContext.createGain();
-            const dryGain = this.audioContext.createGain();
-            
-            // Create reverb using convolver with impulse response (cached for performance)
-            const convolver = this.audioContext.createConvolver();
-            const cacheKey = `${this.effects.reverb.roomSize.toFixed(1)}_${this.effects.reverb.decay.toFixed(1)}_${this.effects.reverb.damping.toFixed(1)}`;
-            
-            let impulseBuffer;
-            if (this.reverbBufferCache.has(cacheKey)) {
-                impulseBuffer = this.reverbBufferCache.get(cacheKey);
-            } else {
-                impulseBuffer = this.createReverbImpulse(this.effects.reverb.roomSize, this.effects.reverb.decay, this.effects.reverb.damping);
-                // Cache the buffer (limit cache size to prevent memory issues)
-                if (this.reverbBufferCache.size < 10) {
-                    this.reverbBufferCache.set(cacheKey, impulseBuffer);
-                }
+    // Build the long-lived effects bus that every voice feeds into.
+    // input → pedals (in effectsOrder) → master wet/dry → destination
+    // Voices come and go, the bus stays up so delay/reverb tails keep ringing
+    // and parameter changes can be applied to the running nodes.
+    createEffectsBus(ctx) {
+        const bus = {
+            context: ctx,
+            input: ctx.createGain(),
+            dry: ctx.createGain(),
+            wet: ctx.createGain(),
+            output: ctx.createGain(),
+            appliedValues: new Map(), // last value pushed to each AudioParam
+            rewireTimer: null,        // pending pedal re-patch (see rewireEffectsBus)
+            stages: {
+                dubDelay: this.createDubDelayStage(ctx),
+                reverb: this.createReverbStage(ctx),
+                overdrive: this.createOverdriveStage(ctx)
             }
-            
-            convolver.buffer = impulseBuffer;
+        };
+
+        // Dry path (bypasses all pedals)
+        bus.dry.connect(bus.output);
+
+        // Wet path through the pedals in series
+        this.connectEffectsChain(bus);
+        bus.wet.connect(bus.output);
+
+        bus.output.connect(ctx.destination);
 
-            // Individual wet/dry mix controls
-            wetGain.gain.setValueAtTime(this.effects.reverb.wetDryMix, this.audioContext.currentTime);
-            dryGain.gain.setValueAtTime(1 - this.effects.reverb.wetDryMix, this.audioContext.currentTime);
+        this.applyEffectSettings(bus);
+        console.log('🎛️ Effects bus created');
+        return bus;
+    }
+
+    // Re-patching live nodes mid-note clicks, so fade the bus out, rewire while it's
+    // silent and fade back in. Reorders during the fade are picked up by the pending rewire.
+    rewireEffectsBus(bus) {
+        if (bus.rewireTimer) return;
+        const gain = bus.output.gain;
+        const now = bus.context.currentTime;
+        this.holdParam(gain, now);
+        gain.setTargetAtTime(0, now, this.effectsRampTime);
+
+        bus.rewireTimer = setTimeout(() => {
+            bus.rewireTimer = null;
+            this.connectEffectsChain(bus);
+            gain.setTargetAtTime(1, bus.context.currentTime, this.effectsRampTime);
+        }, this.effectsRampTime * 5 * 1000);
+    }
 
-            // Connect reverb chain
-            currentNode.connect(dryGain);
-            currentNode.connect(convolver);
-            convolver.connect(wetGain);
+    // (Re)wire input → pedals in effectsOrder → wet, keeping the dry tap on the input
+    connectEffectsChain(bus) {
+        bus.input.disconnect();
+        bus.input.connect(bus.dry);
+        Object.values(bus.stages).forEach(stage => stage.output.disconnect());
 
-            // Merge dry and wet using a simple gain node
-            const merger = this.audioContext.createGain();
-            dryGain.connect(merger);
-            wetGain.connect(merger);
+        let currentNode = bus.input;
+        this.effectsOrder.forEach(name => {
+            currentNode.connect(bus.stages[name].input);
+            currentNode = bus.stages[name].output;
+        });
+        currentNode.connect(bus.wet);
+    }
 
-            currentNode = merger;
+    getEffectsBus() {
+        if (!this.effectsBus || this.effectsBus.context !== this.audioContext) {
+            this.effectsBus = this.createEffectsBus(this.audioContext);
         }
+        return this.effectsBus;
+    }
 
-        // Overdrive Effect
-        if (this.masterEffectsEnabled && this.effects.overdrive.enabled) {
-            const wetGain = this.audioContext.createGain();
-            const dryGain = this.audioContext.createGain();
-            
-            // Create overdrive using soft clipping
-            const driveGain = this.audioContext.createGain();
-            const toneFilter = this.audioContext.createBiquadFilter();
-            const levelGain = this.audioContext.createGain();
-            const waveShaper = this.audioContext.createWaveShaper();
-            
-            // Configure drive gain (pre-distortion)
-            driveGain.gain.setValueAtTime(1 + (this.effects.overdrive.drive * 10), this.audioContext.currentTime);
-            
-            // Configure tone filter (high-pass to roll off low end)
-            toneFilter.type = 'highpass';
-            toneFilter.frequency.setValueAtTime(80 + (this.effects.overdrive.tone * 200), this.audioContext.currentTime);
-            toneFilter.Q.setValueAtTime(0.5, this.audioContext.currentTime);
-            
-            // Configure output level
-            levelGain.gain.setValueAtTime(this.effects.overdrive.level * 0.8, this.audioContext.currentTime);
-            
-            // Create soft clipping curve for warm overdrive
-            const samples = 44100;
-            const curve = new Float32Array(samples);
-            for (let i = 0; i < samples; i++) {
-                const x = (i * 2) / samples - 1;
-                // Soft clipping using tanh approximation for tube-like warmth
-                const driveAmount = 1 + this.effects.overdrive.drive * 3;
-                curve[i] = Math.tanh(x * driveAmount) / driveAmount;
-            }
-            waveShaper.curve = curve;
+    // Every pedal is a wet/dry stage: input → dry → output, input → [processing] → wet → output
+    createEffectStage(ctx) {
+        const stage = {
+            input: ctx.createGain(),
+            dry: ctx.createGain(),
+            wet: ctx.createGain(),
+            output: ctx.createGain()
+        };
+        stage.input.connect(stage.dry);
+        stage.dry.connect(stage.output);
+        stage.wet.connect(stage.output);
+        return stage;
+    }
+
+    createDubDelayStage(ctx) {
+        const stage = this.createEffectStage(ctx);
+        stage.delay = ctx.createDelay(1.0);
+        stage.filter = ctx.createBiquadFilter();
+        stage.feedback = ctx.createGain();
+
+        stage.filter.type = 'lowpass';
+        stage.filter.Q.value = 1;
+
+        // Feedback loop runs through the low-pass for darker repeats
+        stage.input.connect(stage.delay);
+        stage.delay.connect(stage.filter);
+        stage.filter.connect(stage.feedback);
+        stage.feedback.connect(stage.delay);
+        stage.delay.connect(stage.wet);
+        return stage;
+    }
 
-            // Individual wet/dry mix controls
-            wetGain.gain.setValueAtTime(this.effects.overdrive.wetDryMix, this.audioContext.currentTime);
-            dryGain.gain.setValueAtTime(1 - this.effects.overdrive.wetDryMix, this.audioContext.currentTime);
+    createReverbStage(ctx) {
+        const stage = this.createEffectStage(ctx);
+        stage.context = ctx;
+        stage.impulseKey = null;
+        stage.pendingImpulse = null;  // latest room asked for while a crossfade was running
+        stage.pendingTimer = null;
+        stage.crossfadeEndsAt = 0;
+
+        // Two convolvers so a new room can be crossfaded in while the old tail rings out
+        stage.convolvers = [0, 1].map(i => {
+            const convolver = ctx.createConvolver();
+            const gain = ctx.createGain();
+            gain.gain.value = i === 0 ? 1 : 0;
+            stage.input.connect(convolver);
+            convolver.connect(gain);
+            gain.connect(stage.wet);
+            return { convolver, gain };
+        });
+        stage.activeConvolver = 0;
+        return stage;
+    }
 
-            // Connect overdrive chain
-            currentNode.connect(dryGain);
-            currentNode.connect(driveGain);
-            driveGain.connect(waveShaper);
-            waveShaper.connect(toneFilter);
-            toneFilter.connect(levelGain);
-            levelGain.connect(wetGain);
+    swapReverbImpulse(stage, impulseBuffer) {
+        const current = stage.convolvers[stage.activeConvolver];
+
+        // First impulse: nothing is ringing yet, load it straight into the active slot
+        if (!current.convolver.buffer) {
+            current.convolver.buffer = impulseBuffer;
+            return;
+        }
 
-            // Merge dry and wet using a simple gain node
-            const merger = this.audioContext.createGain();
-            dryGain.connect(merger);
-            wetGain.connect(merger);
+        const nextIndex = 1 - stage.activeConvolver;
+        const next = stage.convolvers[nextIndex];
+        const now = stage.context.currentTime;
+
+        next.convolver.buffer = impulseBuffer;
+        this.holdParam(current.gain.gain, now);
+        this.holdParam(next.gain.gain, now);
+        current.gain.gain.setTargetAtTime(0, now, this.reverbCrossfadeTime);
+        next.gain.gain.setTargetAtTime(1, now, this.reverbCrossfadeTime);
+        stage.activeConvolver = nextIndex;
+        // Five time constants: the outgoing convolver is silent and safe to reload
+        stage.crossfadeEndsAt = now + this.reverbCrossfadeTime * 5;
+    }
 
-            currentNode = merger;
+    // Tilt can sweep the room faster than crossfades finish. While one is still
+    // settling only the latest request is kept, and it is built once the old tail has gone quiet.
+    requestReverbImpulse(stage, roomSize, decay, damping) {
+        const impulseKey = this.getReverbCacheKey(stage.context, roomSize, decay, damping);
+        stage.pendingImpulse = impulseKey === stage.impulseKey ? null : { impulseKey, roomSize, decay, damping };
+        if (!stage.pendingImpulse || stage.pendingTimer) return;
+
+        const wait = stage.crossfadeEndsAt - stage.context.currentTime;
+        if (wait > 0) {
+            stage.pendingTimer = setTimeout(() => {
+                stage.pendingTimer = null;
+                // The bus may have been rebuilt for a new audio context in the meantime
+                if (this.effectsBus && this.effectsBus.stages.reverb === stage) {
+                    this.applyPendingReverbImpulse(stage);
+                }
+            }, wait * 1000);
+            return;
         }
+        this.applyPendingReverbImpulse(stage);
+    }
 
-        // Final wet/dry mix stage
-        const dryGain = this.audioContext.createGain();
-        const wetGain = this.audioContext.createGain();
-        const finalMerger = this.audioContext.createGain();
+    applyPendingReverbImpulse(stage) {
+        const pending = stage.pendingImpulse;
+        if (!pending) return;
+        stage.pendingImpulse = null;
+        this.swapReverbImpulse(stage, this.getReverbImpulse(stage.context, pending.roomSize, pending.decay, pending.damping));
+        stage.impulseKey = pending.impulseKey;
+    }
 
-        // Connect dry signal (bypass effects)
-        source.connect(dryGain);
-        dryGain.connect(finalMerger);
+    createOverdriveStage(ctx) {
+        const stage = this.createEffectStage(ctx);
+        stage.driveGain = ctx.createGain();
+        stage.waveShaper = ctx.createWaveShaper();
+        stage.toneFilter = ctx.createBiquadFilter();
+        stage.levelGain = ctx.createGain();
+        stage.curveDrive = null;
+
+        // Tone filter is a high-pass to roll off low end
+        stage.toneFilter.type = 'highpass';
+        stage.toneFilter.Q.value = 0.5;
+
+        stage.input.connect(stage.driveGain);
+        stage.driveGain.connect(stage.waveShaper);
+        stage.waveShaper.connect(stage.toneFilter);
+        stage.toneFilter.connect(stage.levelGain);
+        stage.levelGain.connect(stage.wet);
+        return stage;
+    }
 
-        // Connect wet signal (through effects)
-        currentNode.connect(wetGain);
-        wetGain.connect(finalMerger);
+    // Soft clipping curve using tanh for tube-like warmth
+    createOverdriveCurve(drive) {
+        const samples = 44100;
+        const curve = new Float32Array(samples);
+        const driveAmount = 1 + drive * 3;
+        for (let i = 0; i < samples; i++) {
+            const x = (i * 2) / samples - 1;
+            curve[i] = Math.tanh(x * driveAmount) / driveAmount;
+        }
+        return curve;
+    }
 
-        // Set wet/dry mix levels
-        dryGain.gain.setValueAtTime(1 - this.wetDryMix, this.audioContext.currentTime);
-        wetGain.gain.setValueAtTime(this.wetDryMix, this.audioContext.currentTime);
+    getReverbImpulse(ctx, roomSize, decay, damping) {
+        const cacheKey = this.getReverbCacheKey(ctx, roomSize, decay, damping);
+        if (this.reverbBufferCache.has(cacheKey)) {
+            // Re-insert so Map order stays least → most recently used
+            const cached = this.reverbBufferCache.get(cacheKey);
+            this.reverbBufferCache.delete(cacheKey);
+            this.reverbBufferCache.set(cacheKey, cached);
+            return cached;
+        }
+        const impulseBuffer = this.createReverbImpulse(ctx, roomSize, decay, damping);
+        if (this.reverbBufferCache.size >= this.reverbCacheSize) {
+            this.reverbBufferCache.delete(this.reverbBufferCache.keys().next().value);
+        }
+        this.reverbBufferCache.set(cacheKey, impulseBuffer);
+        return impulseBuffer;
+    }
 
-        // Connect to output
-        finalMerger.connect(this.audioContext.destination);
+    getReverbCacheKey(ctx, roomSize, decay, damping) {
+        return `${ctx.sampleRate}_${roomSize.toFixed(1)}_${decay.toFixed(1)}_${damping.toFixed(1)}`;
+    }
 
-        return finalMerger;
+    // Route a voice into the shared effects bus
+    createEffectsChain(source) {
+        const bus = this.getEffectsBus();
+        source.connect(bus.input);
+        return bus.input;
     }
 
     getCurrentShakeIntensity() {
-        if (this.shakeHistory.length === 0) return 'medium';
+        return this.getIntensityForVelocity(this.getCurrentShakeVelocity());
+    }
+
+    // Latest acceleration delta -> 0-1 velocity through the chosen curve
+    getCurrentShakeVelocity() {
+        if (this.shakeHistory.length === 0) return this.dynamics.anchors.medium;
         const latest = this.shakeHistory[this.shakeHistory.length - 1].intensity;
-        if (latest > this.motionThreshold * 1.5) return 'strong';
-        if (latest > this.motionThreshold * 1.0) return 'medium';
+        const { floor, ceiling, curve } = this.dynamics;
+        const x = (latest / this.motionThreshold - floor) / (ceiling - floor);
+        const shape = this.dynamicsCurves[curve] || this.dynamicsCurves.linear;
+        return shape(Math.max(0, Math.min(1, x)));
+    }
+
+    // Bucket boundaries sit halfway between the anchors
+    getIntensityForVelocity(velocity) {
+        const { light, medium, strong } = this.dynamics.anchors;
+        if (velocity >= (medium + strong) / 2) return 'strong';
+        if (velocity >= (light + medium) / 2) return 'medium';
         return 'light';
     }
 
+    getVelocityForIntensity(intensity) {
+        return this.dynamics.anchors[intensity] !== undefined
+            ? this.dynamics.anchors[intensity]
+            : this.dynamics.anchors.medium;
+    }
+
+    // Interpolate a parameter between its light/medium/strong values so each
+    // anchor velocity lands exactly on the old bucket's setting. The outer
+    // segments carry on past light and strong so 0-1 stays expressive end to end
+    scaleByVelocity(velocity, light, medium, strong) {
+        const anchors = this.dynamics.anchors;
+        const v = Math.max(0, Math.min(1, velocity));
+        if (v <= anchors.medium) {
+            const t = (v - anchors.light) / (anchors.medium - anchors.light);
+            return light + (medium - light) * t;
+        }
+        const t = (v - anchors.medium) / (anchors.strong - anchors.medium);
+        return medium + (strong - medium) * t;
+    }
+
     getRhythmContext() {
         const now = Date.now();
         const timeSinceLast = now - this.lastMotionTime;
@@ -1208,29 +4946,14 @@ class SpoonSoundApp {
         });
     }
 
-    createVariedSpoonPercussion(cfg, startTime, intensity, rhythm, finalVolume, tempo = 1.0) {
-        let numBursts, baseDur, volMul, filtMul;
-        
-        // Base pattern based on intensity
-        switch (intensity) {
-            case 'strong':
-                numBursts = 3 + Math.random() * 2;      // 3-5
-                baseDur = 0.08 + Math.random() * 0.04;  // 80-120ms
-                volMul = 1.2;
-                filtMul = 1.5;
-                break;
-            case 'light':
-                numBursts = 1 + Math.random() * 2;      // 1-3
-                baseDur = 0.04 + Math.random() * 0.02;  // 40-60ms
-                volMul = 0.7;
-                filtMul = 0.8;
-                break;
-            default:
-                numBursts = 2 + Math.random() * 2;      // 2-4
-                baseDur = 0.06 + Math.random() * 0.03;  // 60-90ms
-                volMul = 1.0;
-                filtMul = 1.0;
-        }
+    createVariedSpoonPercussion(voice, cfg, startTime, velocity, rhythm, finalVolume, tempo = 1.0) {
+        // Base pattern scales with velocity: light 1-3 bursts of 40-60ms,
+        // medium 2-4 of 60-90ms, strong 3-5 of 80-120ms
+        let numBursts = this.scaleByVelocity(velocity, 1, 2, 3) + voice.random() * 2;
+        let baseDur = this.scaleByVelocity(velocity, 0.04, 0.06, 0.08) +
+            voice.random() * this.scaleByVelocity(velocity, 0.02, 0.03, 0.04);
+        let volMul = this.scaleByVelocity(velocity, 0.7, 1.0, 1.2);
+        let filtMul = this.scaleByVelocity(velocity, 0.8, 1.0, 1.5);
         
         if (rhythm.isFastRhythm) {
             numBursts = Math.max(1, numBursts - 1);
@@ -1240,34 +4963,37 @@ class SpoonSoundApp {
         // Enhanced tempo-based arpeggiation patterns
         if (tempo > 2.0) {
             // ARPEGGIATED: Authentic cascading spoon patterns (like the waveform)
-            numBursts = 4 + Math.floor(Math.random() * 4); // 4-7 hits
-            baseDur = 0.03 + Math.random() * 0.02; // Shorter, sharper hits (30-50ms)
+            numBursts = 4 + Math.floor(voice.random() * 4); // 4-7 hits
+            baseDur = 0.03 + voice.random() * 0.02; // Shorter, sharper hits (30-50ms)
             volMul = 1.3; // More dynamic
             filtMul = 1.8; // Brighter, more cutting
         } else if (tempo > 1.5) {
             // SYNCOPATED: Clear off-beat patterns
             numBursts = Math.min(numBursts * 2, 6);
-            baseDur = 0.04 + Math.random() * 0.02; // Medium-short hits
+            baseDur = 0.04 + voice.random() * 0.02; // Medium-short hits
             volMul = 1.1;
             filtMul = 1.2;
         } else if (tempo < 0.7) {
             // SPARSE: Single, sustained hits
             numBursts = 1;
-            baseDur = 0.12 + Math.random() * 0.06; // Longer, more resonant
+            baseDur = 0.12 + voice.random() * 0.06; // Longer, more resonant
             volMul = 0.9;
             filtMul = 0.7;
         } else if (tempo < 0.9) {
             // SUSTAINED: Fewer, more spaced out hits
             numBursts = Math.max(Math.floor(numBursts * 0.6), 1);
-            baseDur = 0.08 + Math.random() * 0.04; // Medium duration
+            baseDur = 0.08 + voice.random() * 0.04; // Medium duration
             volMul = 0.95;
             filtMul = 0.9;
         }
         
-        this.createSpoonPercussionBursts(cfg, startTime, numBursts, baseDur, volMul, filtMul, finalVolume, tempo);
+        // Rolls smear a few extra bursts into the hit
+        numBursts += cfg.extraBursts || 0;
+
+        this.createSpoonPercussionBursts(voice, cfg, startTime, numBursts, baseDur, volMul, filtMul, finalVolume, tempo);
     }
 
-    createSpoonPercussionBursts(cfg, startTime, numBursts, baseDur, volMul, filtMul, finalVolume, tempo = 1.0) {
+    createSpoonPercussionBursts(voice, cfg, startTime, numBursts, baseDur, volMul, filtMul, finalVolume, tempo = 1.0) {
         for (let i = 0; i < numBursts; i++) {
             let t;
             
@@ -1277,7 +5003,7 @@ class SpoonSoundApp {
                 // Creates the rapid-fire, cascading effect with slight acceleration
                 const baseInterval = 0.003; // 3ms base interval
                 const acceleration = i * 0.001; // Slight acceleration
-                const randomVariation = (Math.random() - 0.5) * 0.002; // Small random variation
+                const randomVariation = (voice.random() - 0.5) * 0.002; // Small random variation
                 t = startTime + (i * baseInterval) + acceleration + randomVariation;
             } else if (tempo > 1.5) {
                 // SYNCOPATED: Clear off-beat timing with emphasis
@@ -1293,58 +5019,58 @@ class SpoonSoundApp {
             } else {
                 // NORMAL: Regular intervals with slight variation
                 const baseInterval = 0.015; // 15ms base
-                const variation = (Math.random() - 0.5) * 0.005; // Small variation
+                const variation = (voice.random() - 0.5) * 0.005; // Small variation
                 t = startTime + (i * baseInterval) + variation;
             }
             
-            const dur = baseDur * (0.8 + Math.random() * 0.4);
+            const dur = baseDur * (0.8 + voice.random() * 0.4);
 
             // Noise buffer
-            const bufferSize = Math.max(1, Math.floor(this.audioContext.sampleRate * dur));
-            const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+            const bufferSize = Math.max(1, Math.floor(voice.context.sampleRate * dur));
+            const buffer = voice.context.createBuffer(1, bufferSize, voice.context.sampleRate);
             const data = buffer.getChannelData(0);
             for (let j = 0; j < bufferSize; j++) {
                 const env = Math.pow(1 - (j / bufferSize), 2);
-                data[j] = (Math.random() * 2 - 1) * env;
+                data[j] = (voice.random() * 2 - 1) * env;
             }
 
-            const noise = this.audioContext.createBufferSource();
-            const gain = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
+            const noise = voice.context.createBufferSource();
+            const gain = voice.context.createGain();
+            const filter = voice.context.createBiquadFilter();
 
             noise.buffer = buffer;
             noise.connect(filter);
             filter.connect(gain);
             
             // Apply effects chain
-            this.createEffectsChain(gain);
+            gain.connect(voice.bus.input);
 
             // Filter (bandpass) varies with intensity
             filter.type = 'bandpass';
-            const ff = cfg.filterFreq * filtMul * (0.8 + Math.random() * 0.4);
+            const ff = cfg.filterFreq * filtMul * (0.8 + voice.random() * 0.4);
             filter.frequency.setValueAtTime(ff, t);
-            filter.Q.setValueAtTime(1 + Math.random() * 2, t);
+            filter.Q.setValueAtTime(1 + voice.random() * 2, t);
 
             // Enhanced volume dynamics for authentic arpeggiation (boosted for desktop testing)
             let vol;
             if (tempo > 2.0) {
                 // ARPEGGIATED: Create cascading volume pattern (like the waveform)
                 // First hit is strong, then slight decay with some accents
-                const baseVol = finalVolume * (1.2 + Math.random() * 0.6) * volMul; // Boosted from 0.8-1.2 to 1.2-1.8
+                const baseVol = finalVolume * (1.2 + voice.random() * 0.6) * volMul; // Boosted from 0.8-1.2 to 1.2-1.8
                 if (i === 0) {
                     vol = baseVol * 1.3; // Strong first hit
                 } else if (i === numBursts - 1) {
                     vol = baseVol * 0.9; // Slight accent on last hit
                 } else {
-                    vol = baseVol * (0.8 + Math.random() * 0.4); // Variable middle hits
+                    vol = baseVol * (0.8 + voice.random() * 0.4); // Variable middle hits
                 }
             } else if (tempo > 1.5) {
                 // SYNCOPATED: Alternating strong/weak pattern
-                const baseVol = finalVolume * (1.0 + Math.random() * 0.4) * volMul; // Boosted from 0.7-1.0 to 1.0-1.4
+                const baseVol = finalVolume * (1.0 + voice.random() * 0.4) * volMul; // Boosted from 0.7-1.0 to 1.0-1.4
                 vol = baseVol * (i % 2 === 0 ? 1.2 : 0.9);
             } else {
                 // NORMAL/SPARSE: Traditional decay pattern
-                const base = finalVolume * (0.9 + Math.random() * 0.4) * volMul; // Boosted from 0.6-0.9 to 0.9-1.3
+                const base = finalVolume * (0.9 + voice.random() * 0.4) * volMul; // Boosted from 0.6-0.9 to 0.9-1.3
                 vol = base * (1 - i * 0.15); // Reduced decay for louder sustained hits
             }
             
@@ -1360,12 +5086,12 @@ class SpoonSoundApp {
             noise.start(t);
             noise.stop(t + dur);
 
-            this.audioInstances.push({ source: noise, contextTime: t + dur });
+            voice.instances.push({ source: noise, contextTime: t + dur });
         }
     }
 
     // Richer tonal component: adds material-specific harmonics and resonance based on waveform analysis
-    createRichMaterialTone(cfg, startTime, intensity, rhythm, finalVolume, tempo = 1.0) {
+    createRichMaterialTone(voice, cfg, startTime, velocity, rhythm, finalVolume, tempo = 1.0) {
         // Enhanced harmonic generation based on material-specific waveform analysis
         const harmonics = cfg.harmonicContent || [1.0, 0.6, 0.3, 0.15, 0.08];
         const resonanceQ = cfg.resonanceQ || 1.0;
@@ -1380,39 +5106,26 @@ class SpoonSoundApp {
         const filters = [];
         
         for (let i = 0; i < harmonics.length; i++) {
-            const osc = this.audioContext.createOscillator();
-            const gain = this.audioContext.createGain();
-            const filter = this.audioContext.createBiquadFilter();
+            const osc = voice.context.createOscillator();
+            const gain = voice.context.createGain();
+            const filter = voice.context.createBiquadFilter();
             
             osc.connect(filter);
             filter.connect(gain);
             
             // Apply effects chain
-            this.createEffectsChain(gain);
+            gain.connect(voice.bus.input);
             
             oscillators.push(osc);
             gains.push(gain);
             filters.push(filter);
         }
 
-        // Duration/volume/frequency multipliers
-        let toneDur, toneVol, freqMul;
-        switch (intensity) {
-            case 'strong':
-                toneDur = 0.02 + Math.random() * 0.015;
-                toneVol = finalVolume * 0.8; // Boosted from 0.45 to 0.8 (even louder for desktop)
-                freqMul = 1.1;
-                break;
-            case 'light':
-                toneDur = 0.008 + Math.random() * 0.007;
-                toneVol = finalVolume * 0.5; // Boosted from 0.20 to 0.5 (much louder)
-                freqMul = 0.95;
-                break;
-            default:
-                toneDur = 0.012 + Math.random() * 0.01;
-                toneVol = finalVolume * 0.7; // Boosted from 0.35 to 0.7 (significantly louder)
-                freqMul = 1.0;
-        }
+        // Duration/volume/frequency multipliers (light -> medium -> strong)
+        let toneDur = this.scaleByVelocity(velocity, 0.008, 0.012, 0.02) +
+            voice.random() * this.scaleByVelocity(velocity, 0.007, 0.01, 0.015);
+        let toneVol = finalVolume * this.scaleByVelocity(velocity, 0.5, 0.7, 0.8);
+        const freqMul = this.scaleByVelocity(velocity, 0.95, 1.0, 1.1);
         if (rhythm.isFastRhythm) {
             toneDur *= 0.7;
             toneVol *= 0.85;
@@ -1436,15 +5149,20 @@ class SpoonSoundApp {
             toneVol *= 1.4; // Boosted from 1.1 to 1.4
         }
 
+        // Hard hits lean on the first frequency, soft ones on the last,
+        // with a random pick in between
         const freqs = cfg.frequencies;
-        let f0;
-        if (intensity === 'strong') {
-            f0 = freqs[0] * freqMul;
-        } else if (intensity === 'light') {
-            f0 = freqs[freqs.length - 1] * freqMul;
-        } else {
-            f0 = freqs[Math.floor(Math.random() * freqs.length)] * freqMul;
-        }
+        const reach = Math.max(0, Math.min(1, this.scaleByVelocity(velocity, 1, 0.5, 0)));
+        const spread = 1 - Math.abs(2 * reach - 1);
+        const position = reach + (voice.random() - 0.5) * spread;
+        const index = Math.max(0, Math.min(freqs.length - 1, Math.round(position * (freqs.length - 1))));
+        const f0 = freqs[index] * freqMul;
+
+        // Sweep, brightness and resonance only open up above medium
+        const sweepStart = this.scaleByVelocity(velocity, 0.98, 0.98, 0.95);
+        const sweepEnd = this.scaleByVelocity(velocity, 1.01, 1.01, 1.03);
+        const brightness = this.scaleByVelocity(velocity, 1.0, 1.0, 1.1);
+        const extraQ = this.scaleByVelocity(velocity, 0, 0, 0.4);
 
         // Enhanced harmonic generation based on material-specific waveform analysis
         for (let i = 0; i < oscillators.length; i++) {
@@ -1457,8 +5175,8 @@ class SpoonSoundApp {
             const harmonicFreq = f0 * (i + 1);
             
             // Slight pitch sweep (adds realism of impact resonance)
-            const fStart = harmonicFreq * (intensity === 'strong' ? 0.95 : 0.98);
-            const fEnd = harmonicFreq * (intensity === 'strong' ? 1.03 : 1.01);
+            const fStart = harmonicFreq * sweepStart;
+            const fEnd = harmonicFreq * sweepEnd;
 
             osc.type = cfg.type;
             osc.frequency.setValueAtTime(fStart, startTime);
@@ -1466,9 +5184,9 @@ class SpoonSoundApp {
 
             // Material-specific filtering with enhanced parameters
             filter.type = 'highpass';
-            const hp = cfg.filterFreq * 0.5 * (intensity === 'strong' ? 1.1 : 1.0) * metallicBrightness;
+            const hp = cfg.filterFreq * 0.5 * brightness * metallicBrightness;
             filter.frequency.setValueAtTime(hp, startTime);
-            filter.Q.setValueAtTime(resonanceQ + (intensity === 'strong' ? 0.4 : 0), startTime);
+            filter.Q.setValueAtTime(resonanceQ + extraQ, startTime);
 
             // Use material-specific attack time for tonal components too
             const attackTime = cfg.attackTime || 0.001;
@@ -1483,24 +5201,24 @@ class SpoonSoundApp {
             osc.start(startTime);
             osc.stop(startTime + toneDur);
 
-            this.audioInstances.push({ source: osc, contextTime: startTime + toneDur });
+            voice.instances.push({ source: osc, contextTime: startTime + toneDur });
         }
 
         // Add inharmonic metallic content for metal spoons (based on synthesis analysis)
         if (inharmonicContent > 0) {
-            this.createMetallicInharmonicContent(cfg, startTime, intensity, rhythm, finalVolume, toneDur, inharmonicContent);
+            this.createMetallicInharmonicContent(voice, cfg, startTime, velocity, rhythm, finalVolume, toneDur, inharmonicContent);
         }
     }
 
     // Create inharmonic metallic content based on synthesized metal spoon analysis
-    createMetallicInharmonicContent(cfg, startTime, intensity, rhythm, finalVolume, toneDur, inharmonicContent) {
+    createMetallicInharmonicContent(voice, cfg, startTime, velocity, rhythm, finalVolume, toneDur, inharmonicContent) {
         // Create inharmonic frequencies that don't follow the harmonic series
         // Based on the synthesis analysis: metallic noise that decays quickly
         
-        const metallicNoise = this.audioContext.createBufferSource();
-        const noiseBuffer = this.audioContext.createBuffer(1, 
-            Math.floor(this.audioContext.sampleRate * toneDur), 
-            this.audioContext.sampleRate
+        const metallicNoise = voice.context.createBufferSource();
+        const noiseBuffer = voice.context.createBuffer(1, 
+            Math.floor(voice.context.sampleRate * toneDur), 
+            voice.context.sampleRate
         );
         
         // Generate metallic noise with high-frequency emphasis
@@ -1510,15 +5228,15 @@ class SpoonSoundApp {
             // Exponential decay envelope
             const envelope = Math.exp(-progress * 30); // Quick decay like in synthesis
             // High-frequency noise with some metallic character
-            data[i] = (Math.random() * 2 - 1) * envelope * 0.1;
+            data[i] = (voice.random() * 2 - 1) * envelope * 0.1;
         }
         
         metallicNoise.buffer = noiseBuffer;
         
         // Create filter chain for metallic character
-        const highPassFilter = this.audioContext.createBiquadFilter();
-        const lowPassFilter = this.audioContext.createBiquadFilter();
-        const gain = this.audioContext.createGain();
+        const highPassFilter = voice.context.createBiquadFilter();
+        const lowPassFilter = voice.context.createBiquadFilter();
+        const gain = voice.context.createGain();
         
         // High-pass to emphasize metallic high frequencies
         highPassFilter.type = 'highpass';
@@ -1531,16 +5249,16 @@ class SpoonSoundApp {
         lowPassFilter.Q.setValueAtTime(1.0, startTime);
         
         // Apply effects chain
-        this.createEffectsChain(gain);
+        gain.connect(voice.bus.input);
         
         // Connect the chain
         metallicNoise.connect(highPassFilter);
         highPassFilter.connect(lowPassFilter);
         lowPassFilter.connect(gain);
         
-        // Volume based on intensity and inharmonic content
-        const metallicVol = finalVolume * 0.3 * inharmonicContent * 
-            (intensity === 'strong' ? 1.2 : intensity === 'light' ? 0.6 : 1.0);
+        // Volume based on velocity and inharmonic content
+        const metallicVol = finalVolume * 0.3 * inharmonicContent *
+            this.scaleByVelocity(velocity, 0.6, 1.0, 1.2);
         
         gain.gain.setValueAtTime(0, startTime);
         gain.gain.linearRampToValueAtTime(metallicVol, startTime + 0.001); // Quick attack
@@ -1549,7 +5267,7 @@ class SpoonSoundApp {
         metallicNoise.start(startTime);
         metallicNoise.stop(startTime + toneDur);
         
-        this.audioInstances.push({ source: metallicNoise, contextTime: startTime + toneDur });
+        voice.instances.push({ source: metallicNoise, contextTime: startTime + toneDur });
     }
 
     selectSound(sound) {
@@ -1562,7 +5280,7 @@ class SpoonSoundApp {
         const spoonContainer = document.querySelector('.spoon-container');
         if (spoonContainer) {
             // Remove all material classes
-            spoonContainer.classList.remove('material-wooden-spoon', 'material-metal-spoon', 'material-plastic-spoon', 'material-ceramic-spoon');
+            spoonContainer.classList.remove(...this.getMaterialClasses());
             // Add the new material class
             spoonContainer.classList.add(`material-${sound}`);
         }
@@ -1571,12 +5289,16 @@ class SpoonSoundApp {
         const folkArtBackground = document.querySelector('.folk-art-background');
         if (folkArtBackground) {
             // Remove all material classes
-            folkArtBackground.classList.remove('material-wooden-spoon', 'material-metal-spoon', 'material-plastic-spoon', 'material-ceramic-spoon');
+            folkArtBackground.classList.remove(...this.getMaterialClasses());
             // Add the new material class
             folkArtBackground.classList.add(`material-${sound}`);
         }
     }
 
+    getMaterialClasses() {
+        return Object.keys(this.sounds).map(sound => `material-${sound}`);
+    }
+
     async testMotionPermission() {
         console.log('🧪 Testing motion permission...');
         
@@ -1649,5 +5371,6 @@ class SpoonSoundApp {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    const app = new SpoonSoundApp();
+    // Exposed so the seed and other APIs can be driven from the console or tests
+    window.spoonSoundApp = new SpoonSoundApp();
 });